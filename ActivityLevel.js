@@ -1,79 +1,163 @@
 /**
- * Calculates activity levels based on the sum of values from Column E and Column K.
- * Writes the activity level ("Core", "Active", "Inactive", or blank) to Column L.
- * Non-numeric inputs are treated as 0 for the sum.
- * If both inputs are blank/non-numeric text, the output activity level is blank.
+ * Activity Levels
+ * Activity tiers ("Core", "Active", "Inactive", ...) are defined as rules on the "Activity Rules"
+ * settings sheet and evaluated in the same pipeline as the stats. The level is written to
+ * Column L ("Activity Level") of "Attendance Stats", which populateRegistrationList reads.
+ * Column K is never written by the stats, so whatever people type there is kept.
+ *
+ * Each rule row is one condition: Metric, Operator, Value. Rows with the same Priority and Level
+ * must all match (AND). Rules are tried from the lowest Priority number up and the first match wins.
+ * Metrics: Quarter, Month, Volunteer, Last Seen Days, Total, Always, the name of any reporting period,
+ * or a Sunday streak column (Current Streak, Longest Streak, Sundays Missed).
  */
-function updateActivityLevels() {
-  // Configuration:
-  const sheetName = "attendance stats";         // Name of the sheet
-  const sourceColumnLetterE = "E";              // Column for the first value
-  const sourceColumnLetterK = "K";              // Column for the second value
-  const targetColumnForActivity = "L";        // Column to write the activity level (12th column)
 
-  const ss = SpreadsheetApp.getActiveSpreadsheet();
-  const sheet = ss.getSheetByName(sheetName);
+const ACTIVITY_RULES_SHEET_NAME = "Activity Rules";
+const ACTIVITY_RULES_HEADERS = ["Priority", "Level", "Metric", "Operator", "Value", "Enabled"];
+const ACTIVITY_RULES_DEFAULT_ROWS = [
+  [1, "Core", "Quarter", ">=", 12, true],
+  [2, "Active", "Quarter", ">=", 3, true],
+  [3, "Inactive", "Always", "", "", true]
+];
+const ACTIVITY_RULE_OPERATORS = [">=", ">", "<=", "<", "=", "!="];
+const ATTENDANCE_STATS_ACTIVITY_COL = 12; // Column L: Activity Level (1-based)
+const ACTIVITY_LEVEL_HEADER = "Activity Level";
 
-  if (!sheet) {
-    Logger.log(`Sheet '${sheetName}' not found.`);
-    // SpreadsheetApp.getUi().alert(`Error: Sheet '${sheetName}' not found.`); // Commented out
-    return;
-  }
+/**
+ * Reads the enabled activity rules, grouped and sorted by priority.
+ * @return {Array<{priority: number, level: string, conditions: Array<{metric: string, operator: string, value: number}>}>}
+ */
+function getActivityRules() {
+  const rules = new Map(); // "priority|level" -> rule
+  readSettingsSheet(ACTIVITY_RULES_SHEET_NAME, ACTIVITY_RULES_HEADERS, ACTIVITY_RULES_DEFAULT_ROWS).forEach(setting => {
+    if (!isSettingEnabled(setting["Enabled"])) return;
+    const priority = Number(setting["Priority"]);
+    const level = String(setting["Level"] || "").trim();
+    const metric = String(setting["Metric"] || "").trim();
+    const operator = String(setting["Operator"] || "").trim();
+    const isAlways = metric.toLowerCase() === "always";
+    if (isNaN(priority) || !level || !metric || (!isAlways && ACTIVITY_RULE_OPERATORS.indexOf(operator) === -1)) {
+      Logger.log(`⚠️ Activity rule skipped (priority ${setting["Priority"]}, level "${level}"): needs a Level, a Metric and one of ${ACTIVITY_RULE_OPERATORS.join(" ")} as Operator.`);
+      return;
+    }
 
-  const firstDataRow = 2; // Assuming data starts from row 2 (row 1 has headers)
-  const lastRow = sheet.getLastRow();
+    const key = `${priority}|${level}`;
+    if (!rules.has(key)) rules.set(key, { priority: priority, level: level, conditions: [] });
+    if (!isAlways) rules.get(key).conditions.push({ metric: metric, operator: operator, value: Number(setting["Value"]) });
+  });
+  return Array.from(rules.values()).sort((a, b) => a.priority - b.priority);
+}
 
-  if (lastRow < firstDataRow) {
-    Logger.log("No data to process in the sheet.");
-    // SpreadsheetApp.getUi().alert("No data to process."); // Commented out
-    return;
+/**
+ * Works out the activity level for one person.
+ * @param {Object<string, number>} metrics Metric name (lower case) -> value, from getActivityMetrics().
+ * @param {Array<Object>} rules Rules from getActivityRules().
+ * @return {string} The level of the first matching rule, or "" if none match.
+ */
+function evaluateActivityLevel(metrics, rules) {
+  for (const rule of rules) {
+    const matches = rule.conditions.every(condition => {
+      const actual = metrics[condition.metric.toLowerCase()];
+      if (actual === undefined || actual === null || actual === "" || isNaN(actual)) return false;
+      switch (condition.operator) {
+        case ">=": return actual >= condition.value;
+        case ">": return actual > condition.value;
+        case "<=": return actual <= condition.value;
+        case "<": return actual < condition.value;
+        case "=": return actual === condition.value;
+        case "!=": return actual !== condition.value;
+        default: return false;
+      }
+    });
+    if (matches) return rule.level;
   }
+  return "";
+}
 
-  // Read data from source columns
-  const valuesE = sheet.getRange(`${sourceColumnLetterE}${firstDataRow}:${sourceColumnLetterE}${lastRow}`).getValues();
-  const valuesK = sheet.getRange(`${sourceColumnLetterK}${firstDataRow}:${sourceColumnLetterK}${lastRow}`).getValues();
-
-  const activityLevelsOutput = []; // Array to hold the calculated activity levels
-
-  // Iterate through each row
-  for (let i = 0; i < valuesE.length; i++) {
-    const rawValueE = valuesE[i][0];
-    const rawValueK = valuesK[i][0];
-
-    const numE = Number(rawValueE);
-    const numK = Number(rawValueK);
-
-    const valEForSum = isNaN(numE) ? 0 : numE;
-    const valKForSum = isNaN(numK) ? 0 : numK;
-
-    const combinedCount = valEForSum + valKForSum;
-    let currentActivityLevel;
+/**
+ * Builds the metrics a rule can test from one calculateAttendanceStats() row.
+ * @param {Array<any>} statsRow A row: A-J stats, then the reporting period counts and Sunday streaks.
+ * @param {Array<string>} columnNames Names of the values after Column J, in order.
+ * @param {Date} asOf The date "Last Seen Days" is counted to.
+ * @return {Object<string, number>} Metric name (lower case) -> value.
+ */
+function getActivityMetrics(statsRow, columnNames, asOf) {
+  const lastDate = toDate(statsRow[7]);
+  const metrics = {
+    "quarter": Number(statsRow[4]) || 0,
+    "month": Number(statsRow[5]) || 0,
+    "volunteer": Number(statsRow[6]) || 0,
+    "last seen days": lastDate
+      ? Math.round((startOfDay(asOf).getTime() - startOfDay(lastDate).getTime()) / (1000 * 60 * 60 * 24))
+      : "",
+    "total": Number(statsRow[9]) || 0
+  };
+  columnNames.forEach((name, index) => {
+    const value = statsRow[10 + index];
+    metrics[String(name).trim().toLowerCase()] = value === "" ? "" : Number(value) || 0; // Blank Sundays Missed never matches
+  });
+  return metrics;
+}
 
-    const eIsEffectivelyBlankOrInvalid = (rawValueE === "" || (rawValueE.toString().trim() !== "" && isNaN(numE)));
-    const kIsEffectivelyBlankOrInvalid = (rawValueK === "" || (rawValueK.toString().trim() !== "" && isNaN(numK)));
+/**
+ * Works out the activity level for every calculateAttendanceStats() row.
+ * @param {Array<Array<any>>} finalData Rows from calculateAttendanceStats().
+ * @param {Array<string>} columnNames Names of the values after Column J (reporting periods, then Sunday streaks).
+ * @param {Date} [asOf] The date the stats are for. Defaults to now.
+ * @return {Array<Array<string>>} One [level] row per input row, ready for setValues().
+ */
+function calculateActivityLevels(finalData, columnNames, asOf) {
+  const rules = getActivityRules();
+  const now = asOf || new Date();
+  return finalData.map(row => [evaluateActivityLevel(getActivityMetrics(row, columnNames, now), rules)]);
+}
 
-    if (eIsEffectivelyBlankOrInvalid && kIsEffectivelyBlankOrInvalid) {
-      currentActivityLevel = "";
-      Logger.log(`Row ${i + firstDataRow}: E='${rawValueE}', K='${rawValueK}' -> Both effectively blank/invalid. Activity: blank.`);
-    } else if (combinedCount >= 12) {
-      currentActivityLevel = "Core";
-      Logger.log(`Row ${i + firstDataRow}: E='${rawValueE}', K='${rawValueK}' -> Sum=${combinedCount} -> Activity: Core`);
-    } else if (combinedCount >= 3) {
-      currentActivityLevel = "Active";
-      Logger.log(`Row ${i + firstDataRow}: E='${rawValueE}', K='${rawValueK}' -> Sum=${combinedCount} -> Activity: Active`);
-    } else {
-      currentActivityLevel = "Inactive";
-      Logger.log(`Row ${i + firstDataRow}: E='${rawValueE}', K='${rawValueK}' -> Sum=${combinedCount} -> Activity: Inactive`);
-    }
-    activityLevelsOutput.push([currentActivityLevel]);
+/**
+ * Writes activity levels to Column L of a stats sheet and labels the column.
+ * Nothing is written if Column L has some other header, so a column people use is never overwritten.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet "Attendance Stats" or a dated copy.
+ * @param {Array<Array<string>>} levels Output of calculateActivityLevels().
+ * @return {boolean} True if the levels were written.
+ */
+function writeActivityLevels(sheet, levels) {
+  const isLevelHeader = value => String(value).trim().toLowerCase() === ACTIVITY_LEVEL_HEADER.toLowerCase();
+  const header = sheet.getRange(1, ATTENDANCE_STATS_ACTIVITY_COL).getValue();
+  if (String(header).trim() !== "" && !isLevelHeader(header)) {
+    Logger.log(`❌ Column L of '${sheet.getName()}' is headed "${header}", not "${ACTIVITY_LEVEL_HEADER}". Activity levels not written. Move that column, then run the stats again.`);
+    return false;
+  }
+  sheet.getRange(1, ATTENDANCE_STATS_ACTIVITY_COL).setValue(ACTIVITY_LEVEL_HEADER).setFontWeight("bold");
+  if (levels.length > 0) {
+    sheet.getRange(2, ATTENDANCE_STATS_ACTIVITY_COL, levels.length, 1).setValues(levels);
   }
+  Logger.log(`✅ Activity levels written to Column L of '${sheet.getName()}' for ${levels.length} rows.`);
+  return true;
+}
 
-  if (activityLevelsOutput.length > 0) {
-    const targetColumnIndex = sheet.getRange(`${targetColumnForActivity}1`).getColumn();
-    sheet.getRange(firstDataRow, targetColumnIndex, activityLevelsOutput.length, 1).setValues(activityLevelsOutput);
-    Logger.log(`Activity levels based on sum of E and K written to Column ${targetColumnForActivity}. Processed ${activityLevelsOutput.length} rows.`);
-    // SpreadsheetApp.getUi().alert(`Activity levels have been updated in Column ${targetColumnForActivity}.`); // Commented out
-  } else {
-    Logger.log("No activity levels were calculated to write.");
+/**
+ * Recalculates activity levels from the values already on a stats sheet (Columns A-J and the
+ * reporting period and streak columns from M) using the "Activity Rules" sheet, and writes them to Column L.
+ * Use after editing the rules; updateAttendanceStatsSheet does this itself on every run.
+ * @param {string} [statsSheetName] Sheet to update, e.g. a dated "as of" copy. Defaults to "Attendance Stats".
+ */
+function updateActivityLevels(statsSheetName) {
+  const sheetName = typeof statsSheetName === "string" ? statsSheetName : "Attendance Stats"; // Triggers pass an event object
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(sheetName);
+  if (!sheet) {
+    Logger.log(`Sheet '${sheetName}' not found.`);
+    return;
   }
+  if (sheet.getLastRow() < 2) {
+    Logger.log("No data to process in the sheet.");
+    return;
+  }
+
+  const lastCol = Math.max(sheet.getLastColumn(), ATTENDANCE_STATS_PERIOD_START_COL - 1);
+  const values = sheet.getRange(1, 1, sheet.getLastRow(), lastCol).getValues();
+  const columnNames = values[0].slice(ATTENDANCE_STATS_PERIOD_START_COL - 1).map(h => String(h || "").trim());
+  const statsRows = values.slice(1)
+    .map(row => row.slice(0, 10).concat(row.slice(ATTENDANCE_STATS_PERIOD_START_COL - 1)));
+
+  const levels = calculateActivityLevels(statsRows, columnNames)
+    .map((level, index) => String(statsRows[index][0]).trim() === "" ? [""] : level);
+  writeActivityLevels(sheet, levels);
 }
@@ -0,0 +1,152 @@
+/**
+ * "As Of" Stats
+ * Recomputes Attendance Stats, activity levels and follow-up flags as they would have been on an
+ * earlier date (e.g. the last day of a quarter) and writes them to a separate dated sheet,
+ * "Attendance Stats as of yyyy-MM-dd". The live "Attendance Stats" sheet is not touched.
+ */
+
+const AS_OF_STATS_SHEET_PREFIX = "Attendance Stats as of ";
+const ATTENDANCE_STATS_DEFAULT_HEADERS = ["ID", "Full Name", "First Name", "Last Name", "This Quarter", "This Month", "Volunteered (Year)", "Last Attended", "Last Event", "Total Events"];
+
+/**
+ * Recomputes the stats as of a date and writes them to a dated sheet.
+ * Layout matches "Attendance Stats": Columns A-J stats, Column L activity level, reporting periods from Column M,
+ * the Sunday streak and segment columns, then a "Need Follow-up?" column (YES when the person needed follow-up as of that date, see getFollowUpDecisions).
+ * @param {Date} asOfDate The date to recompute for.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet|null} The dated sheet, or null if there was no attendance by that date.
+ */
+function recomputeAttendanceStatsAsOf(asOfDate) {
+  const reportingPeriods = getReportingPeriods();
+  const finalData = calculateAttendanceStats(reportingPeriods, asOfDate, getIncrementalAttendanceRecords()); // Cached records (IncrementalStats.js)
+  if (!finalData || finalData.length === 0) {
+    Logger.log(`❌ No attendance found up to ${formatCongregationDate(asOfDate)}. No dated stats sheet written.`);
+    return null;
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheetName = AS_OF_STATS_SHEET_PREFIX + formatCongregationDate(asOfDate);
+  let sheet = ss.getSheetByName(sheetName);
+  if (sheet) {
+    sheet.clearContents();
+  } else {
+    sheet = ss.insertSheet(sheetName);
+    Logger.log(`✅ Created sheet "${sheetName}".`);
+  }
+
+  // Reuse the live sheet's headers for Columns A-J so both sheets read the same way
+  const liveSheet = ss.getSheetByName("Attendance Stats");
+  const liveHeaders = liveSheet && liveSheet.getLastRow() >= 1
+    ? liveSheet.getRange(1, 1, 1, ATTENDANCE_STATS_DEFAULT_HEADERS.length).getValues()[0]
+    : [];
+  const headers = ATTENDANCE_STATS_DEFAULT_HEADERS.map((header, index) => String(liveHeaders[index] || "").trim() || header);
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold");
+  sheet.setFrozenRows(1);
+
+  const output = formatAttendanceStatsRows(finalData);
+  sheet.getRange(2, 1, output.length, output[0].length).setValues(output);
+  const periodNames = reportingPeriods.map(period => period.name);
+  const streakStart = 10 + periodNames.length;
+  writeReportingPeriodColumns(sheet, periodNames, finalData.map(row => row.slice(10, streakStart)));
+  writeStreakColumns(sheet, ATTENDANCE_STATS_PERIOD_START_COL + periodNames.length, finalData.map(row => row.slice(streakStart)));
+  writeActivityLevels(sheet, calculateActivityLevels(finalData, periodNames.concat(ATTENDANCE_STATS_STREAK_HEADERS), asOfDate));
+
+  // Segments are today's Directory values; the Directory keeps no history
+  const dimensions = getSegmentDimensions();
+  const segmentCol = ATTENDANCE_STATS_PERIOD_START_COL + periodNames.length + ATTENDANCE_STATS_STREAK_HEADERS.length;
+  if (dimensions.length > 0) {
+    const segments = loadPersonSegments(dimensions);
+    writeSegmentColumns(sheet, segmentCol, dimensions, finalData.map(row => segments.valuesFor(row[0], row[1])));
+  }
+
+  // Follow-up decision per person as of the date (see NeedFollowUp.js)
+  const decisions = getFollowUpDecisions(asOfDate);
+  const followUpCol = segmentCol + dimensions.length;
+  sheet.getRange(1, followUpCol).setValue("Need Follow-up?").setFontWeight("bold");
+  sheet.getRange(2, followUpCol, output.length, 1)
+    .setValues(output.map(row => {
+      const decision = decisions.get(String(row[0]));
+      return [decision && decision.needFollowUp ? 'YES' : ''];
+    }));
+
+  Logger.log(`✅ Stats recomputed as of ${formatCongregationDate(asOfDate)} for ${output.length} people in "${sheetName}".`);
+  return sheet;
+}
+
+/**
+ * Menu handler: asks for a date and recomputes the stats as of that date.
+ */
+function promptRecomputeStatsAsOf() {
+  const ui = SpreadsheetApp.getUi();
+  const response = ui.prompt('Recompute Stats As Of', 'Enter the date to recompute for (yyyy-mm-dd or mm/dd/yyyy):', ui.ButtonSet.OK_CANCEL);
+  if (response.getSelectedButton() !== ui.Button.OK) return;
+
+  const asOfDate = parsePromptDate(response.getResponseText());
+  if (!asOfDate) {
+    ui.alert('Input Error', 'Please enter a valid date, e.g. 2025-06-30 or 06/30/2025.', ui.ButtonSet.OK);
+    return;
+  }
+  if (asOfDate.getTime() > new Date().getTime()) {
+    ui.alert('Input Error', 'The date cannot be in the future.', ui.ButtonSet.OK);
+    return;
+  }
+
+  try {
+    const sheet = recomputeAttendanceStatsAsOf(asOfDate);
+    if (sheet) {
+      SpreadsheetApp.getActiveSpreadsheet().setActiveSheet(sheet);
+      ui.alert('Stats Recomputed', `Stats as of ${formatCongregationDate(asOfDate, "MM/dd/yyyy")} were written to '${sheet.getName()}'.`, ui.ButtonSet.OK);
+    } else {
+      ui.alert('No Data', 'No attendance was recorded on or before that date.', ui.ButtonSet.OK);
+    }
+  } catch (error) {
+    Logger.log(`❌ Error recomputing stats as of ${asOfDate}: ${error.message}`);
+    ui.alert('Recompute Failed', error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Parses a date typed into a prompt. Accepts yyyy-mm-dd and mm/dd/yyyy.
+ * @param {string} text The text entered.
+ * @return {Date|null} The date at midnight in the congregation time zone, or null if the text is not a valid date.
+ */
+function parsePromptDate(text) {
+  const value = String(text || "").trim();
+  let year, month, day;
+  let match = value.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+  if (match) {
+    [year, month, day] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  } else if ((match = value.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) {
+    [month, day, year] = [Number(match[1]), Number(match[2]), Number(match[3])];
+  } else {
+    return null;
+  }
+  const date = calendarDate(year, month - 1, day);
+  const parts = getDateParts(date);
+  if (parts.year !== year || parts.month !== month - 1 || parts.day !== day) return null;
+  return date;
+}
+
+/**
+ * Adds the '📈 Reports' menu.
+ */
+function addReportsMenu() {
+  const ui = SpreadsheetApp.getUi();
+  ui.createMenu('📈 Reports')
+    .addItem('🕰️ Recompute Stats As Of…', 'promptRecomputeStatsAsOf')
+    .addSeparator()
+    .addItem('📸 Snapshot Stats Now', 'snapshotAttendanceStats')
+    .addItem('📉 Rebuild Stats Trend', 'buildStatsTrend')
+    .addItem('⏰ Schedule Weekly Stats Snapshot', 'setupWeeklyStatsSnapshotTrigger')
+    .addSeparator()
+    .addItem('📅 Build Event Summary', 'updateEventSummarySheet')
+    .addItem('⛪ Build Weekly Headcount', 'updateWeeklyHeadcountSheet')
+    .addItem('🌱 Build Cohort Retention', 'updateCohortRetentionSheet')
+    .addItem('🙌 Build Volunteer Summary', 'updateVolunteerSheets')
+    .addItem('🏠 Build Household Stats', 'updateHouseholdStatsSheet')
+    .addItem('🧩 Build Segment Summary', 'updateSegmentSummarySheet')
+    .addSeparator()
+    .addItem('🎚️ Reapply Activity Rules', 'updateActivityLevels')
+    .addItem('♻️ Rebuild Attendance Stats (Full)', 'rebuildAttendanceStatsFull')
+    .addToUi();
+  Logger.log("✅ Reports menu definition attempted by addReportsMenu.");
+}
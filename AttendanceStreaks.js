@@ -0,0 +1,67 @@
+/**
+ * Attendance Streaks
+ * Sunday Service streaks per person, from the "sunday service-<date>" event keys built by
+ * groupAttendanceRecordsById: current run of consecutive Sundays attended, longest run, and
+ * Sundays missed in a row since the person last came. Only Sundays with a recorded service count,
+ * so a Sunday with no check-ins at all (e.g. a cancelled service) does not break anyone's streak.
+ */
+
+const ATTENDANCE_STATS_STREAK_HEADERS = ["Current Streak", "Longest Streak", "Sundays Missed"];
+
+/**
+ * Lists every Sunday service that has at least one check-in, oldest first.
+ * @param {Map<string, Array<Object>>} grouped Output of groupAttendanceRecordsById().
+ * @return {Array<string>} Sunday Service event keys in date order.
+ */
+function getSundayServiceKeys(grouped) {
+  const serviceDates = new Map(); // eventKey -> time of the service day
+  grouped.forEach(records => records.forEach(r => {
+    if (r.isSundayService && !serviceDates.has(r.eventKey)) {
+      serviceDates.set(r.eventKey, r.serviceDate.getTime());
+    }
+  }));
+  return Array.from(serviceDates.keys()).sort((a, b) => serviceDates.get(a) - serviceDates.get(b));
+}
+
+/**
+ * Works out one person's Sunday Service streaks.
+ * @param {Array<Object>} records The person's records from groupAttendanceRecordsById().
+ * @param {Array<string>} serviceKeys Output of getSundayServiceKeys().
+ * @return {Array<number|string>} [Current Streak, Longest Streak, Sundays Missed]. Sundays Missed is blank
+ *   for someone who has never attended a Sunday service.
+ */
+function calculateSundayStreaks(records, serviceKeys) {
+  const attended = new Set(records.filter(r => r.isSundayService).map(r => r.eventKey));
+  if (attended.size === 0) return [0, 0, ""];
+
+  let run = 0;
+  let longest = 0;
+  let lastAttendedIndex = -1;
+  serviceKeys.forEach((key, index) => {
+    if (attended.has(key)) {
+      run++;
+      longest = Math.max(longest, run);
+      lastAttendedIndex = index;
+    } else {
+      run = 0;
+    }
+  });
+
+  // run is the streak ending at the most recent service; 0 when that service was missed
+  return [run, longest, serviceKeys.length - 1 - lastAttendedIndex];
+}
+
+/**
+ * Writes the streak columns to a stats sheet, starting at the given column.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet "Attendance Stats" or a dated copy.
+ * @param {number} startCol 1-based column for "Current Streak" (right after the reporting periods).
+ * @param {Array<Array<number|string>>} streakRows One [current, longest, missed] row per stats row.
+ */
+function writeStreakColumns(sheet, startCol, streakRows) {
+  sheet.getRange(1, startCol, 1, ATTENDANCE_STATS_STREAK_HEADERS.length)
+    .setValues([ATTENDANCE_STATS_STREAK_HEADERS]).setFontWeight("bold");
+  if (streakRows.length > 0) {
+    sheet.getRange(2, startCol, streakRows.length, ATTENDANCE_STATS_STREAK_HEADERS.length).setValues(streakRows);
+  }
+  Logger.log(`✅ Wrote Sunday streak columns to '${sheet.getName()}' for ${streakRows.length} rows.`);
+}
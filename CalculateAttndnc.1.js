@@ -3,16 +3,22 @@
  * Groups entries by BEL code and summarizes attendance
  * for the current month, quarter, and year,
  * including volunteer instances and last attended date.
+ * Also counts unique events in each configured reporting period (see ReportingPeriods.js).
  *
  * Assumes rawData is an array of arrays where each inner array
  * represents a row conforming to the 11-column "Event Attendance" structure:
  * [0: BEL, 1: Full Name, 2: Event Name, 3: Event ID, 4: First Name, 5: Last Name, 6: Email, 7: Phone, 8: Form Sheet, 9: Role, 10: Timestamp (Date)]
  *
+ * @param {Array<Object>} [reportingPeriods] Periods from getReportingPeriods(). Read from the settings sheet when omitted.
+ * @param {Date} [asOfDate] Calculate the stats as they were at the end of this day. Attendance after it is ignored. Defaults to now.
+ * @param {Array<Array<any>>} [rawData] Matched records to use, e.g. from the incremental stats cache. Defaults to matchOrAssignBelCodes().
  * @returns {Array<Array<any>>} An array of arrays containing summarized attendance statistics per individual, or empty array if no data to process.
+ *   Columns A-J are followed by one count per reporting period, in reportingPeriods order, then the
+ *   Sunday streaks: Current Streak, Longest Streak, Sundays Missed (see AttendanceStreaks.js).
  */
-function calculateAttendanceStats() {
-  // Get the correctly formatted raw data from matchOrAssignBelCodes
-  const rawData = matchOrAssignBelCodes();
+function calculateAttendanceStats(reportingPeriods, asOfDate, rawData) {
+  // Get the correctly formatted raw data from matchOrAssignBelCodes unless the caller already has it
+  rawData = rawData || matchOrAssignBelCodes();
 
   // Check if data was received from matchOrAssignBelCodes
   if (!rawData || rawData.length === 0) {
@@ -20,93 +26,22 @@ function calculateAttendanceStats() {
     return []; // Return empty array if no data
   }
 
-  // Get current date information for filtering and calculations
-  const now = new Date();
-  const currentMonth = now.getMonth(); // 0 for January, 11 for December
-  const currentQuarter = Math.floor(currentMonth / 3); // 0 for Q1, 3 for Q4
-  const currentYear = now.getFullYear();
+  // Get current date information for filtering and calculations (congregation time zone, see DateUtils.js)
+  const now = asOfDate || new Date();
+  const nowParts = getDateParts(now);
+  const currentMonth = nowParts.month; // 0 for January, 11 for December
+  const currentQuarter = nowParts.quarter; // 0 for Q1, 3 for Q4
+  const currentYear = nowParts.year;
 
-  // Map to group attendance entries by BEL code
-  // Key: BEL code (string), Value: Array of attendance record objects
-  const grouped = new Map();
-
-  // Process each row of the formatted raw data received from matchOrAssignBelCodes
-  rawData.forEach(row => {
-    // --- Data Extraction with Correct Column Mapping (Expecting 11+ columns) ---
-    // This check ensures the row has the minimum expected number of columns.
-    // Based on the corrected matchOrAssignBelCodes, rows should have >= 11 columns.
-    if (row.length < 11) {
-      // This should ideally not happen if matchOrAssignBelCodes worked correctly and getDataFromSheets got enough columns.
-      Logger.log(`⚠️ calculateAttendanceStats: Skipping row due to insufficient columns (${row.length} found). Expected at least 11. Row data (partial): ${JSON.stringify(row.slice(0, 11))}`);
-      return; // Skip this row if it doesn't meet the minimum column requirement
-    }
-
-    // Extract values based on the 11-column "Event Attendance" structure (0-indexed)
-    // These indices match the output format from the corrected matchOrAssignBelCodes
-    const bel = row[0];         // Column A: ID Code (BEL)
-    const name = row[1];        // Column B: Full Name
-    const eventName = row[2];   // Column C: Event Name
-    const eventId = row[3];     // Column D: Event ID
-    const role = row[9];        // Column J: Role
-    const dateStr = row[10];    // Column K: Timestamp (Date)
-    // --- End Data Extraction ---
-
-    // Parse the date string. Handles various date formats.
-    // Apps Script getValues() might return Date objects directly for timestamps.
-    let date;
-    if (dateStr instanceof Date) {
-        date = dateStr; // Use the Date object if already parsed
-    } else if (typeof dateStr === 'number') {
-         // Handle potential serial numbers for dates if getValues returns them (less common for timestamps)
-         // This conversion might need adjustment based on how Apps Script handles serial numbers and timezones
-         date = new Date((dateStr - (25567 + 2)) * 86400 * 1000); // Simple serial to Date conversion (might need refinement)
-    }
-     else {
-        // Attempt to parse if it's a string or other type. String() handles null/undefined safely.
-        date = new Date(String(dateStr));
-    }
-
-
-    // Validate the parsed date. isNaN(date.getTime()) is the standard way.
-    if (isNaN(date.getTime())) {
-      Logger.log(`⚠️ Skipping invalid date: "${dateStr}" found for BEL ${bel}. Full row data: ${JSON.stringify(row)}`);
-      return; // Skip this row if the date is invalid
-    }
+  // Configured reporting windows (rolling weeks, ministry year, ...)
+  const periods = reportingPeriods || getReportingPeriods();
+  const periodWindows = periods.map(period => getReportingPeriodWindow(period, now));
 
-    // Determine if the entry is for a Sunday Service or involves a Volunteer role
-    // Use typeof checks for safety before string methods to avoid errors on null/undefined/non-strings
-    const isSundayService = typeof eventName === 'string' && /sunday service/i.test(eventName);
-    const isVolunteer = typeof role === 'string' && String(role).toLowerCase().includes("volunteer");
-
-    // Create a unique key for each event instance for counting unique attendance
-    // Use dateString for Sunday Service to treat each Sunday as a distinct event for stats
-    // For other events, use a combination of name and ID
-     // Ensure eventName and eventId are strings for key creation safety
-    const eventNameKey = typeof eventName === 'string' ? eventName : 'UnknownEvent';
-    const eventIdKey = typeof eventId === 'string' ? eventId : 'UnknownID';
-    const eventKey = isSundayService ? `sunday service-${date.toDateString()}` : `${eventNameKey}-${eventIdKey}`;
-
-
-    // Create a structured record object for this attendance entry
-    const record = {
-      name, // Uses the 'name' variable correctly assigned from row[1]
-      date, // Uses the 'date' variable correctly parsed from row[10]
-      eventKey,
-      month: date.getMonth(),
-      quarter: Math.floor(date.getMonth() / 3),
-      year: date.getFullYear(),
-      isVolunteer, // Uses the 'isVolunteer' flag based on 'role' from row[9]
-      isSundayService, // Uses the 'isSundayService' flag based on 'eventName' from row[2]
-    };
+  // Group attendance entries by BEL code (Key: BEL code string, Value: Array of attendance record objects)
+  const grouped = groupAttendanceRecordsById(rawData, asOfDate);
 
-    // Group the record by BEL code
-     // Ensure bel is treated as a string for map key consistency
-    const belString = String(bel);
-    if (!grouped.has(belString)) {
-      grouped.set(belString, []); // Initialize an array for the BEL code if it doesn't exist
-    }
-    grouped.get(belString).push(record); // Add the current record to the array for this BEL code
-  });
+  // Every Sunday service held (up to the as-of date), in date order, for the streak columns
+  const sundayServiceKeys = getSundayServiceKeys(grouped);
 
   // Array to store the final summary statistics
   const summary = [];
@@ -118,6 +53,7 @@ function calculateAttendanceStats() {
     const monthEvents = new Set();  // To count unique events attended this current month/year
     const quarterEvents = new Set(); // To count unique events attended this current quarter/year
     let volunteerCount = 0;         // To count how many times the individual volunteered this current year
+    const periodEvents = periodWindows.map(() => new Set()); // Unique events attended in each reporting period
 
     // Iterate through the records for the current individual to populate sets and count volunteers
     records.forEach(r => {
@@ -138,6 +74,13 @@ function calculateAttendanceStats() {
       if (r.isVolunteer && r.year === currentYear) {
         volunteerCount++;
       }
+
+      // Check each configured reporting period
+      periodWindows.forEach((window, index) => {
+        if (r.date >= window.start && r.date < window.end) {
+          periodEvents[index].add(r.eventKey);
+        }
+      });
     });
 
     // Sort records by date in descending order to find the latest attendance record
@@ -168,7 +111,7 @@ function calculateAttendanceStats() {
     const totalUniqueEvents = uniqueEvents.size;
 
     // Add the calculated statistics for this individual to the summary array
-    // The order here must match the columns written to in updateAttendanceStatsSheet (10 columns A-J)
+    // The order here must match the columns written to in updateAttendanceStatsSheet (10 columns A-J, then the reporting periods)
     summary.push([
       bel,                  // Column A: BEL (from the grouped key)
       fullName,             // Column B: Full Name (from the most recent record)
@@ -180,10 +123,111 @@ function calculateAttendanceStats() {
       lastDate,              // Column H: Last date attended (as Date object)
       lastEventName,         // Column I: Last event name (extracted from key)
       totalUniqueEvents      // Column J: Total count of unique events attended
-    ]);
+    ].concat(periodEvents.map(events => events.size), calculateSundayStreaks(records, sundayServiceKeys)));
   });
 
   Logger.log("✅ Attendance stats calculated for: " + summary.length + " individuals.");
 
   return summary; // Return the array of summary statistics
 }
+
+/**
+ * Parses matchOrAssignBelCodes() rows into attendance records grouped by person ID.
+ * Each record is { name, date, serviceDate, eventKey, month, quarter, year, isVolunteer, isSundayService, eventName, eventId,
+ * volunteerRole, volunteerMinistry, volunteerHours }. Month, quarter, year and serviceDate are in the congregation time zone.
+ * The role comes from the "Volunteer Roles" sheet (see VolunteerRoles.js).
+ * The eventKey identifies one event instance: each Sunday service date, or Event Name + Event ID.
+ *
+ * @param {Array<Array<any>>} rawData Rows in the 11-column "Event Attendance" structure.
+ * @param {Date} [asOfDate] Ignore attendance after the end of this day.
+ * @returns {Map<string, Array<Object>>} Person ID -> attendance records.
+ */
+function groupAttendanceRecordsById(rawData, asOfDate) {
+  const endOfAsOfDay = asOfDate ? addDays(asOfDate, 1) : null; // Attendance from here on is "in the future"
+  const volunteerRoles = getVolunteerRoles(); // Role catalog used to recognise serving in Column J
+
+  // Map to group attendance entries by BEL code
+  // Key: BEL code (string), Value: Array of attendance record objects
+  const grouped = new Map();
+
+  // Process each row of the formatted raw data received from matchOrAssignBelCodes
+  rawData.forEach(row => {
+    // --- Data Extraction with Correct Column Mapping (Expecting 11+ columns) ---
+    // This check ensures the row has the minimum expected number of columns.
+    // Based on the corrected matchOrAssignBelCodes, rows should have >= 11 columns.
+    if (row.length < 11) {
+      // This should ideally not happen if matchOrAssignBelCodes worked correctly and getDataFromSheets got enough columns.
+      Logger.log(`⚠️ calculateAttendanceStats: Skipping row due to insufficient columns (${row.length} found). Expected at least 11. Row data (partial): ${JSON.stringify(row.slice(0, 11))}`);
+      return; // Skip this row if it doesn't meet the minimum column requirement
+    }
+
+    // Extract values based on the 11-column "Event Attendance" structure (0-indexed)
+    // These indices match the output format from the corrected matchOrAssignBelCodes
+    const bel = row[0];         // Column A: ID Code (BEL)
+    const name = row[1];        // Column B: Full Name
+    const eventName = row[2];   // Column C: Event Name
+    const eventId = row[3];     // Column D: Event ID
+    const role = row[9];        // Column J: Role
+    const dateStr = row[10];    // Column K: Timestamp (Date)
+    // --- End Data Extraction ---
+
+    // Parse the date. Handles Date objects, spreadsheet serial numbers and date strings (DateUtils.js)
+    const date = toDate(dateStr);
+
+    // Skip rows without a valid date
+    if (!date) {
+      Logger.log(`⚠️ Skipping invalid date: "${dateStr}" found for BEL ${bel}. Full row data: ${JSON.stringify(row)}`);
+      return; // Skip this row if the date is invalid
+    }
+
+    // When recomputing for an earlier date, attendance after that date did not happen yet
+    if (asOfDate && date >= endOfAsOfDay) {
+      return;
+    }
+
+    // Determine if the entry is for a Sunday Service or involves a Volunteer role
+    // Use typeof checks for safety before string methods to avoid errors on null/undefined/non-strings
+    const isSundayService = typeof eventName === 'string' && /sunday service/i.test(eventName);
+    const volunteerRole = matchVolunteerRole(role, volunteerRoles);
+    const isVolunteer = volunteerRole !== null;
+
+    // Create a unique key for each event instance for counting unique attendance
+    // Use the service date for Sunday Service to treat each Sunday as a distinct event for stats
+    // For other events, use a combination of name and ID
+     // Ensure eventName and eventId are strings for key creation safety
+    const eventNameKey = typeof eventName === 'string' ? eventName : 'UnknownEvent';
+    const eventIdKey = typeof eventId === 'string' ? eventId : 'UnknownID';
+    const serviceDate = getServiceSunday(date); // Service Sunday for the timestamp (Saturday-evening cut-over), in the congregation time zone
+    const eventKey = isSundayService ? `sunday service-${formatCongregationDate(serviceDate)}` : `${eventNameKey}-${eventIdKey}`;
+    const dateParts = getDateParts(date);
+
+
+    // Create a structured record object for this attendance entry
+    const record = {
+      name, // Uses the 'name' variable correctly assigned from row[1]
+      date, // Uses the 'date' variable correctly parsed from row[10]
+      serviceDate,
+      eventKey,
+      month: dateParts.month,
+      quarter: dateParts.quarter,
+      year: dateParts.year,
+      isVolunteer, // Uses the 'isVolunteer' flag based on 'role' from row[9]
+      isSundayService, // Uses the 'isSundayService' flag based on 'eventName' from row[2]
+      eventName: eventNameKey,
+      eventId: eventIdKey,
+      volunteerRole: volunteerRole ? volunteerRole.role : '',
+      volunteerMinistry: volunteerRole ? volunteerRole.ministry : '',
+      volunteerHours: volunteerRole ? volunteerRole.hours : 0,
+    };
+
+    // Group the record by BEL code
+     // Ensure bel is treated as a string for map key consistency
+    const belString = String(bel);
+    if (!grouped.has(belString)) {
+      grouped.set(belString, []); // Initialize an array for the BEL code if it doesn't exist
+    }
+    grouped.get(belString).push(record); // Add the current record to the array for this BEL code
+  });
+
+  return grouped;
+}
@@ -0,0 +1,84 @@
+/**
+ * First-Timer Cohort Retention
+ * Builds the "Cohort Retention" sheet: people (by person ID) are grouped by the month of their first
+ * recorded attendance, and each cohort shows the share that came back within 2, 4, 8 and 12 weeks
+ * and the share whose current activity level is Active or Core.
+ */
+
+const COHORT_RETENTION_SHEET_NAME = "Cohort Retention";
+const COHORT_RETURN_WEEKS = [2, 4, 8, 12];
+const COHORT_ENGAGED_LEVELS = ["Core", "Active"];
+
+/**
+ * Rebuilds the "Cohort Retention" sheet.
+ * Attendance comes from collectFollowUpAttendanceRecords (NeedFollowUp.js), grouped by person ID, so "first
+ * attendance" is the same date as First Attended on the follow-up decisions. A person returned within
+ * N weeks when they attended again on a later day no more than N weeks after their first visit. Each share
+ * only counts people whose first visit was at least N weeks ago; it is left blank while nobody in the
+ * cohort has had N weeks yet.
+ */
+function updateCohortRetentionSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const now = new Date();
+
+  const grouped = groupAttendanceRecordsById(collectFollowUpAttendanceRecords());
+  if (grouped.size === 0) {
+    Logger.log("❌ No attendance found. Cohort report not built.");
+    return;
+  }
+  const activityLevels = getActivityLevelsById(); // EventSummary.js
+
+  // Cohort month (yyyy-MM) -> { people, engaged, returned: [count per window], eligible: [count per window] }
+  const cohorts = new Map();
+  grouped.forEach((records, personId) => {
+    const dates = records.map(r => r.date).sort((a, b) => a.getTime() - b.getTime());
+    const firstDate = dates[0];
+    const firstDay = startOfDay(firstDate);
+    const cohortKey = formatCongregationDate(firstDate, "yyyy-MM");
+    if (!cohorts.has(cohortKey)) {
+      cohorts.set(cohortKey, {
+        people: 0,
+        engaged: 0,
+        returned: COHORT_RETURN_WEEKS.map(() => 0),
+        eligible: COHORT_RETURN_WEEKS.map(() => 0)
+      });
+    }
+    const cohort = cohorts.get(cohortKey);
+    cohort.people++;
+    if (COHORT_ENGAGED_LEVELS.indexOf(activityLevels.get(personId)) !== -1) cohort.engaged++;
+
+    // First attendance on a later day than the first visit
+    const nextDayStart = addDays(firstDay, 1);
+    const returnDate = dates.find(date => date >= nextDayStart);
+
+    COHORT_RETURN_WEEKS.forEach((weeks, index) => {
+      const windowEnd = addDays(firstDay, weeks * 7 + 1);
+      if (windowEnd.getTime() > now.getTime()) return; // Not had N weeks yet
+      cohort.eligible[index]++;
+      if (returnDate && returnDate < windowEnd) cohort.returned[index]++;
+    });
+  });
+
+  const share = (count, total) => total > 0 ? Math.round(count / total * 1000) / 1000 : "";
+  const headers = ["Cohort Month", "First-Timers"]
+    .concat(COHORT_RETURN_WEEKS.map(weeks => `Returned ≤${weeks} Wks`))
+    .concat(["Now Active/Core"]);
+  const output = Array.from(cohorts.keys()).sort().reverse().map(cohortKey => {
+    const cohort = cohorts.get(cohortKey);
+    return [cohortKey, cohort.people]
+      .concat(COHORT_RETURN_WEEKS.map((weeks, index) => share(cohort.returned[index], cohort.eligible[index])))
+      .concat([share(cohort.engaged, cohort.people)]);
+  });
+
+  const sheet = getOrCreateSheet(ss, COHORT_RETENTION_SHEET_NAME, null);
+  sheet.clearContents();
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold");
+  sheet.setFrozenRows(1);
+  if (output.length > 0) {
+    sheet.getRange(2, 1, output.length, headers.length).setValues(output);
+    sheet.getRange(2, 1, output.length, 1).setNumberFormat("@");
+    sheet.getRange(2, 3, output.length, headers.length - 2).setNumberFormat("0.0%");
+  }
+  Logger.log(`✅ '${COHORT_RETENTION_SHEET_NAME}' rebuilt with ${output.length} cohort(s) covering ${grouped.size} people.`);
+}
+
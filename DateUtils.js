@@ -0,0 +1,209 @@
+/**
+ * Date Utilities
+ * One place for turning timestamps into calendar dates. Every date is read in the congregation's
+ * time zone (Script Property CONGREGATION_TIME_ZONE, set from the Config menu; defaults to the script
+ * time zone in appsscript.json), so a late Saturday-night entry lands on the same day, Sunday and month
+ * whichever function reads it. Calendar dates are returned as Date objects at midnight in that zone.
+ * A service week runs from the Saturday cut-over hour (Script Property SERVICE_WEEK_CUTOVER_HOUR,
+ * default 18:00) to the same hour the following Saturday, so Saturday-evening check-ins count for
+ * the next morning's service.
+ */
+
+const CONGREGATION_TIME_ZONE_PROPERTY = 'CONGREGATION_TIME_ZONE';
+const SHEET_SERIAL_EPOCH = [1899, 11, 30]; // Day 0 of spreadsheet date serial numbers
+const SERVICE_WEEK_CUTOVER_PROPERTY = 'SERVICE_WEEK_CUTOVER_HOUR';
+const DEFAULT_SERVICE_WEEK_CUTOVER_HOUR = 18; // Saturday 18:00 onward counts for the next day's service
+let congregationTimeZoneCache = null;      // Read once per execution
+let serviceWeekCutoverCache = null;        // Read once per execution
+const US_DATE_ONLY_PATTERN = /^(\d{1,2})\/(\d{1,2})\/(\d{4})$/; // "MM/dd/yyyy", as the sheets format dates
+const ISO_DATE_ONLY_PATTERN = /^(\d{4})-(\d{1,2})-(\d{1,2})$/;   // "yyyy-MM-dd", as formatCongregationDate writes
+
+/**
+ * @return {string} The congregation time zone ID, e.g. "Asia/Taipei".
+ */
+function getCongregationTimeZone() {
+  if (!congregationTimeZoneCache) {
+    congregationTimeZoneCache = PropertiesService.getScriptProperties().getProperty(CONGREGATION_TIME_ZONE_PROPERTY)
+      || Session.getScriptTimeZone();
+  }
+  return congregationTimeZoneCache;
+}
+
+/**
+ * @return {number} Hour of Saturday (0-24) from which check-ins count for the next day's service.
+ *   24 means no cut-over: every Saturday check-in counts for the preceding Sunday.
+ */
+function getServiceWeekCutoverHour() {
+  if (serviceWeekCutoverCache === null) {
+    const stored = PropertiesService.getScriptProperties().getProperty(SERVICE_WEEK_CUTOVER_PROPERTY);
+    const hour = stored === null ? NaN : Number(stored);
+    serviceWeekCutoverCache = Number.isInteger(hour) && hour >= 0 && hour <= 24 ? hour : DEFAULT_SERVICE_WEEK_CUTOVER_HOUR;
+  }
+  return serviceWeekCutoverCache;
+}
+
+/**
+ * Converts a cell value to a Date. Handles Date objects, spreadsheet serial numbers and date strings.
+ * Date-only strings ("MM/dd/yyyy", "yyyy-MM-dd") are read as midnight in the congregation time zone,
+ * not the script time zone, so they stay on the same calendar day.
+ * @param {any} value The cell value.
+ * @return {Date|null} The date, or null if the value is not a valid date.
+ */
+function toDate(value) {
+  if (value instanceof Date) return isNaN(value.getTime()) ? null : value;
+  if (typeof value === 'number' && isFinite(value)) {
+    const wholeDays = Math.floor(value);
+    const day = calendarDate(SHEET_SERIAL_EPOCH[0], SHEET_SERIAL_EPOCH[1], SHEET_SERIAL_EPOCH[2] + wholeDays);
+    return new Date(day.getTime() + Math.round((value - wholeDays) * 24 * 60 * 60 * 1000));
+  }
+  if (value === null || value === undefined || String(value).trim() === "") return null;
+  const text = String(value).trim();
+  const us = US_DATE_ONLY_PATTERN.exec(text);
+  if (us) return validCalendarDate(Number(us[3]), Number(us[1]) - 1, Number(us[2]));
+  const iso = ISO_DATE_ONLY_PATTERN.exec(text);
+  if (iso) return validCalendarDate(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+  const parsed = new Date(text);
+  return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+/**
+ * @param {number} year Full year.
+ * @param {number} monthIndex Month, 0 for January.
+ * @param {number} day Day of the month.
+ * @return {Date|null} Midnight of that date in the congregation time zone, or null if there is no such date (e.g. 02/30).
+ */
+function validCalendarDate(year, monthIndex, day) {
+  if (monthIndex < 0 || monthIndex > 11 || day < 1 || day > new Date(Date.UTC(year, monthIndex + 1, 0)).getUTCDate()) return null;
+  return calendarDate(year, monthIndex, day);
+}
+
+/**
+ * Midnight of a calendar date in the congregation time zone. Out-of-range values roll over
+ * like the Date constructor (day 0 is the last day of the previous month).
+ * @param {number} year Full year.
+ * @param {number} monthIndex Month, 0 for January.
+ * @param {number} day Day of the month.
+ * @return {Date} The date.
+ */
+function calendarDate(year, monthIndex, day) {
+  const normalized = new Date(Date.UTC(year, monthIndex, day));
+  return Utilities.parseDate(Utilities.formatDate(normalized, "UTC", "yyyy-MM-dd"), getCongregationTimeZone(), "yyyy-MM-dd");
+}
+
+/**
+ * Splits a timestamp into its calendar parts in the congregation time zone.
+ * @param {Date} date The timestamp.
+ * @return {{year: number, month: number, quarter: number, day: number, weekday: number, hour: number}}
+ *   month is 0-based, quarter 0-3, weekday 0 for Sunday, hour 0-23.
+ */
+function getDateParts(date) {
+  const [year, month, day, isoWeekday, hour] = Utilities.formatDate(date, getCongregationTimeZone(), "yyyy-M-d-u-H").split("-").map(Number);
+  return { year: year, month: month - 1, quarter: Math.floor((month - 1) / 3), day: day, weekday: isoWeekday % 7, hour: hour };
+}
+
+/**
+ * @param {Date} date A timestamp.
+ * @return {Date} Midnight of the same calendar day.
+ */
+function startOfDay(date) {
+  const parts = getDateParts(date);
+  return calendarDate(parts.year, parts.month, parts.day);
+}
+
+/**
+ * @param {Date} date A date.
+ * @param {number} days Days to add (negative to subtract).
+ * @return {Date} A new date, days later, at midnight.
+ */
+function addDays(date, days) {
+  const parts = getDateParts(date);
+  return calendarDate(parts.year, parts.month, parts.day + days);
+}
+
+/**
+ * Returns the service date for a timestamp, at midnight. Check-ins from Sunday through Saturday before
+ * the cut-over hour count for the Sunday on or before them (late entries for that service); from the
+ * Saturday cut-over on they count for the next day's service (see getServiceWeekCutoverHour).
+ * @param {Date} timestamp The check-in timestamp.
+ * @return {Date} The service Sunday.
+ */
+function getServiceSunday(timestamp) {
+  const parts = getDateParts(timestamp);
+  const isSaturdayEvening = parts.weekday === 6 && parts.hour >= getServiceWeekCutoverHour();
+  return calendarDate(parts.year, parts.month, parts.day - parts.weekday + (isSaturdayEvening ? 7 : 0));
+}
+
+/**
+ * Formats a date in the congregation time zone.
+ * @param {Date} date The date.
+ * @param {string} [pattern] Utilities.formatDate pattern. Defaults to "yyyy-MM-dd", which sorts and compares as text.
+ * @return {string} The formatted date.
+ */
+function formatCongregationDate(date, pattern) {
+  return Utilities.formatDate(date, getCongregationTimeZone(), pattern || "yyyy-MM-dd");
+}
+
+/**
+ * @param {Date} timestamp A check-in timestamp.
+ * @return {string} Its service Sunday as "yyyy-MM-dd".
+ */
+function serviceDateKey(timestamp) {
+  return formatCongregationDate(getServiceSunday(timestamp));
+}
+
+/**
+ * Config menu handler: sets the congregation time zone used for all service dates.
+ */
+function showCongregationTimeZoneDialog() {
+  const ui = SpreadsheetApp.getUi();
+  const resp = ui.prompt(
+    'Congregation Time Zone',
+    `Time zone for service dates, e.g. Asia/Taipei or America/New_York (currently "${getCongregationTimeZone()}").\n` +
+    `Leave blank to use the script time zone ("${Session.getScriptTimeZone()}").`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (resp.getSelectedButton() !== ui.Button.OK) return;
+
+  const timeZone = resp.getResponseText().trim();
+  const props = PropertiesService.getScriptProperties();
+  if (timeZone) {
+    if (!/^(UTC|GMT|[A-Za-z_]+(\/[A-Za-z0-9_+\-]+)+)$/.test(timeZone)) {
+      ui.alert('Input Error', `"${timeZone}" is not a time zone ID. Use the Area/City form, e.g. Asia/Taipei.`, ui.ButtonSet.OK);
+      return;
+    }
+    props.setProperty(CONGREGATION_TIME_ZONE_PROPERTY, timeZone);
+  } else {
+    props.deleteProperty(CONGREGATION_TIME_ZONE_PROPERTY);
+  }
+  congregationTimeZoneCache = null;
+  ui.alert('✅ Service dates will use the time zone:\n' + getCongregationTimeZone());
+}
+
+/**
+ * Config menu handler: sets the Saturday hour from which check-ins count for the next day's service.
+ */
+function showServiceWeekCutoverDialog() {
+  const ui = SpreadsheetApp.getUi();
+  const resp = ui.prompt(
+    'Service Week Cut-over',
+    `Hour on Saturday (0-24, congregation time) from which check-ins count for the next day's service (currently ${getServiceWeekCutoverHour()}).\n` +
+    `24 counts all of Saturday for the previous Sunday. Leave blank for the default (${DEFAULT_SERVICE_WEEK_CUTOVER_HOUR}).`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (resp.getSelectedButton() !== ui.Button.OK) return;
+
+  const text = resp.getResponseText().trim();
+  const props = PropertiesService.getScriptProperties();
+  if (text) {
+    const hour = Number(text);
+    if (!Number.isInteger(hour) || hour < 0 || hour > 24) {
+      ui.alert('Input Error', `"${text}" is not a whole hour between 0 and 24.`, ui.ButtonSet.OK);
+      return;
+    }
+    props.setProperty(SERVICE_WEEK_CUTOVER_PROPERTY, String(hour));
+  } else {
+    props.deleteProperty(SERVICE_WEEK_CUTOVER_PROPERTY);
+  }
+  serviceWeekCutoverCache = null;
+  ui.alert('✅ Saturday check-ins from ' + getServiceWeekCutoverHour() + ':00 will count for the next day\'s service.');
+}
@@ -0,0 +1,153 @@
+/**
+ * Directory Write-Back
+ * When allocatePersonId mints an ID for someone who is not in the Directory yet, the person is
+ * added to a staging tab in the external Directory spreadsheet so the Directory learns the ID.
+ * The tab is "New Member Form" unless the DIRECTORY_STAGING_TAB_NAME script property names another one.
+ * Rows written here are flagged so office staff know the record still needs completing.
+ */
+
+const DIRECTORY_STAGING_TAB_PROPERTY = 'DIRECTORY_STAGING_TAB_NAME';
+const DEFAULT_DIRECTORY_STAGING_TAB_NAME = 'New Member Form';
+const DIRECTORY_STAGING_HEADERS = ['ID', 'Full Name', 'First Name', 'Last Name', 'Email', 'Source', 'Needs Completion', 'Staged At'];
+const DIRECTORY_STAGING_NEEDS_COMPLETION_FLAG = 'Needs completion';
+
+/**
+ * @return {string} The name of the Directory tab that new people are written to.
+ */
+function getDirectoryStagingTabName() {
+  const configured = PropertiesService.getScriptProperties().getProperty(DIRECTORY_STAGING_TAB_PROPERTY);
+  return configured && configured.trim() ? configured.trim() : DEFAULT_DIRECTORY_STAGING_TAB_NAME;
+}
+
+/**
+ * Adds a newly allocated person to the Directory staging tab.
+ * See stageNewPeopleInDirectory().
+ * @param {number|string} personId The newly allocated person ID.
+ * @param {{fullName: string, firstName: string, lastName: string, email: string}} person The person.
+ * @param {string} source The code path or sheet that requested the ID.
+ * @return {boolean} True if the Directory was updated.
+ */
+function stageNewPersonInDirectory(personId, person, source) {
+  return stageNewPeopleInDirectory([{ id: personId, person: person }], source) > 0;
+}
+
+/**
+ * Adds newly allocated people to the Directory staging tab, opening the Directory once.
+ * The ID always goes in Column A and the full name in Column B, which is where every ID lookup reads them.
+ * The other fields are written under matching headers; missing headers are added at the end of row 1.
+ * If the tab already has a row with the same name and no ID (e.g. the person's own New Member Form
+ * submission), the ID is filled in on that row instead of adding a new one.
+ * Failures are logged and never stop the caller, since the IDs are already allocated.
+ * @param {Array<{id: (number|string), person: {fullName: string, firstName: string, lastName: string, email: string}}>} entries
+ *   The new IDs and the people they were allocated to.
+ * @param {string} source The code path or sheet that requested the IDs.
+ * @return {number} The number of people written to the Directory.
+ */
+function stageNewPeopleInDirectory(entries, source) {
+  if (!entries || entries.length === 0) return 0;
+  const describe = entries.length === 1
+    ? `ID ${String(entries[0].id).trim()} for "${String((entries[0].person && entries[0].person.fullName) || "").trim()}"`
+    : `${entries.length} new IDs`;
+  try {
+    const directorySs = openDirectorySpreadsheetForMerge();
+    if (!directorySs) {
+      Logger.log(`⚠️ stageNewPersonInDirectory: Directory not available. ${describe} not written back.`);
+      return 0;
+    }
+
+    const tabName = getDirectoryStagingTabName();
+    const sheet = getOrCreateSheet(directorySs, tabName, DIRECTORY_STAGING_HEADERS);
+    const lastCol = Math.max(sheet.getLastColumn(), 2);
+    const headerRow = sheet.getRange(1, 1, 1, lastCol).getValues()[0];
+
+    const columnFor = candidates => {
+      let index = findHeaderIndex(headerRow, candidates);
+      if (index === -1) {
+        index = headerRow.length;
+        headerRow.push(candidates[0].replace(/\b\w/g, c => c.toUpperCase()));
+        sheet.getRange(1, index + 1).setValue(headerRow[index]).setFontWeight("bold");
+      }
+      return index;
+    };
+    const firstNameCol = columnFor(["first name", "first"]);
+    const lastNameCol = columnFor(["last name", "last"]);
+    const emailCol = columnFor(["email", "e-mail", "email address"]);
+    const sourceCol = columnFor(["source"]);
+    const flagCol = columnFor(["needs completion"]);
+    const stagedAtCol = columnFor(["staged at"]);
+
+    const lastRow = sheet.getLastRow();
+    const existing = lastRow >= 2 ? sheet.getRange(2, 1, lastRow - 1, 2).getValues() : [];
+    const stagedIds = new Set(existing.map(row => String(row[0]).trim()).filter(existingId => existingId));
+    const appended = [];
+    let staged = 0;
+
+    entries.forEach(entry => {
+      const id = String(entry.id).trim();
+      const person = entry.person || {};
+      const fullName = String(person.fullName || "").trim();
+      if (stagedIds.has(id)) {
+        Logger.log(`ℹ️ stageNewPersonInDirectory: ID ${id} is already on "${tabName}". Nothing to do.`);
+        return;
+      }
+      stagedIds.add(id);
+
+      const values = new Array(headerRow.length).fill("");
+      values[0] = id;
+      values[1] = fullName;
+      values[firstNameCol] = person.firstName || "";
+      values[lastNameCol] = person.lastName || "";
+      values[emailCol] = person.email || "";
+      values[sourceCol] = source || "";
+      values[flagCol] = DIRECTORY_STAGING_NEEDS_COMPLETION_FLAG;
+      values[stagedAtCol] = new Date();
+
+      const nameKey = personNameKey(fullName);
+      const index = nameKey ? existing.findIndex(row => !String(row[0]).trim() && personNameKey(row[1]) === nameKey) : -1;
+      if (index !== -1) {
+        // Keep what the member entered; only fill the ID and the blank cells.
+        const targetRow = index + 2;
+        existing[index][0] = id;
+        const current = sheet.getRange(targetRow, 1, 1, headerRow.length).getValues()[0];
+        const merged = current.map((value, col) => (value === "" || value === null) ? values[col] : value);
+        sheet.getRange(targetRow, 1, 1, headerRow.length).setValues([merged]);
+        Logger.log(`✅ stageNewPersonInDirectory: Filled ID ${id} on existing "${tabName}" row ${targetRow} for "${fullName}".`);
+      } else {
+        appended.push(values);
+        Logger.log(`✅ stageNewPersonInDirectory: Adding "${fullName}" (ID ${id}) to "${tabName}" in the Directory.`);
+      }
+      staged++;
+    });
+
+    if (appended.length > 0) {
+      sheet.getRange(sheet.getLastRow() + 1, 1, appended.length, headerRow.length).setValues(appended);
+    }
+    return staged;
+  } catch (error) {
+    Logger.log(`❌ stageNewPersonInDirectory: Could not write ${describe} to the Directory: ${error.message}`);
+    return 0;
+  }
+}
+
+/**
+ * Config menu handler: sets the Directory tab that newly created people are written to.
+ */
+function showDirectoryStagingTabDialog() {
+  const ui = SpreadsheetApp.getUi();
+  const resp = ui.prompt(
+    'Directory Staging Tab',
+    `Name of the Directory tab that new people are added to (currently "${getDirectoryStagingTabName()}").\n` +
+    `Leave blank to use "${DEFAULT_DIRECTORY_STAGING_TAB_NAME}".`,
+    ui.ButtonSet.OK_CANCEL
+  );
+  if (resp.getSelectedButton() !== ui.Button.OK) return;
+
+  const tabName = resp.getResponseText().trim();
+  const props = PropertiesService.getScriptProperties();
+  if (tabName) {
+    props.setProperty(DIRECTORY_STAGING_TAB_PROPERTY, tabName);
+  } else {
+    props.deleteProperty(DIRECTORY_STAGING_TAB_PROPERTY);
+  }
+  ui.alert('✅ New people will be written to the Directory tab:\n' + getDirectoryStagingTabName());
+}
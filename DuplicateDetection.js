@@ -0,0 +1,489 @@
+/**
+ * Duplicate Person Detection
+ * Scores pairs of known people (by person ID) for likely duplicates using nicknames,
+ * edit distance, transposed first/last names, accent-insensitive comparison and matching
+ * email/phone. Likely duplicates are queued on the "Possible Duplicates" sheet where
+ * admins approve or reject them from the "👥 People" menu.
+ */
+
+const POSSIBLE_DUPLICATES_SHEET_NAME = "Possible Duplicates";
+const POSSIBLE_DUPLICATES_HEADERS = ["Pair Key", "Score", "ID A", "Name A", "ID B", "Name B", "Reasons", "Status", "Reviewed By", "Reviewed At", "Detected At"];
+const DUPLICATE_STATUS_COL = 8;  // Column H: Status (1-based)
+const DUPLICATE_SCORE_THRESHOLD = 75; // Pairs scoring at or above this are queued for review
+
+// A given name with its nicknames (and the spellings of that same name). Only real nicknames belong here:
+// distinct names that merely look alike (Mary / Maria, Ann / Hannah) would suggest wrong merges.
+// A nickname may appear under more than one name ("chris"); the names themselves never match each other.
+// All comparisons are lower-case and accent-free.
+const NICKNAME_GROUPS = [
+  ["john", "johnny", "jack"],
+  ["jonathan", "jon", "jonny"],
+  ["william", "will", "bill", "billy", "willy"],
+  ["robert", "rob", "bob", "bobby", "robbie"],
+  ["richard", "rick", "ricky", "rich", "dick"],
+  ["michael", "mike", "mikey", "mick"],
+  ["james", "jim", "jimmy", "jamie"],
+  ["joseph", "joe", "joey"],
+  ["thomas", "tom", "tommy"],
+  ["christopher", "chris", "topher"],
+  ["daniel", "dan", "danny"],
+  ["david", "dave", "davey"],
+  ["matthew", "matt", "matty"],
+  ["anthony", "tony"],
+  ["andrew", "andy", "drew"],
+  ["steven", "stephen", "steve", "stevie"],
+  ["edward", "ed", "eddie", "ted", "teddy"],
+  ["benjamin", "ben", "benny"],
+  ["samuel", "sam", "sammy"],
+  ["alexander", "alex", "xander"],
+  ["nicholas", "nick", "nicky", "nico"],
+  ["timothy", "tim", "timmy"],
+  ["patrick", "pat", "paddy"],
+  ["charles", "charlie", "chuck", "chas"],
+  ["peter", "pete"],
+  ["gregory", "greg"],
+  ["jeffrey", "geoffrey", "jeff", "geoff"],
+  ["kenneth", "ken", "kenny"],
+  ["lawrence", "laurence", "larry"],
+  ["elizabeth", "liz", "lizzie", "beth", "betty", "eliza", "libby"],
+  ["margaret", "maggie", "meg", "peggy", "marge"],
+  ["catherine", "katherine", "kathryn", "cathy", "kathy", "kate", "katie", "kat"],
+  ["jennifer", "jen", "jenny"],
+  ["rebecca", "becky", "becca"],
+  ["susan", "sue", "susie"],
+  ["deborah", "debra", "deb", "debbie"],
+  ["patricia", "pat", "patty", "trish"],
+  ["barbara", "barb", "barbie"],
+  ["christine", "chris", "tina", "chrissy"],
+  ["christina", "chris", "tina", "chrissy"],
+  ["victoria", "vicky", "tori"],
+  ["abigail", "abby"],
+  ["samantha", "sam", "sammy"],
+  ["jessica", "jess", "jessie"],
+  ["alexandra", "alex", "lexi"],
+  ["kimberly", "kim", "kimmy"],
+  ["theodore", "theo", "ted", "teddy"],
+  ["mary", "molly", "polly"],
+  ["ann", "anne", "annie"]
+];
+
+/**
+ * Lower-cases a name, strips accents and punctuation, and collapses whitespace.
+ * "  José  O'Brien-Smith " becomes "jose obrien smith". Letters and digits of every script are kept
+ * (Cyrillic, Greek, Thai, Arabic, CJK, ...), along with the vowel signs those scripts combine with them.
+ * @param {any} name The raw name value from a sheet.
+ * @return {string} The normalized name, or "" for blank input or input with no letters or digits.
+ */
+function normalizeNameForMatching(name) {
+  if (name === null || name === undefined) return "";
+  return String(name)
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .normalize("NFC") // Recompose kana voicing marks and Hangul syllables
+    .toLowerCase()
+    .replace(/['’.]/g, "")
+    .replace(/[^\p{L}\p{N}\p{M}]+/gu, " ")
+    .trim();
+}
+
+/**
+ * Builds the exact-match lookup key used by the name-to-ID maps across the project.
+ * Insensitive to case, accents, punctuation and repeated spaces.
+ * The key is "" when the name has no letters or digits; never store or look up a person under "".
+ * @param {any} name The raw name value.
+ * @return {string} The lookup key (upper-case), or "" for blank input.
+ */
+function personNameKey(name) {
+  return normalizeNameForMatching(name).toUpperCase();
+}
+
+/**
+ * Normalizes an email address for comparison.
+ * @param {any} email The raw email value.
+ * @return {string} The trimmed, lower-cased email, or "" if it does not look like an email.
+ */
+function normalizeEmail(email) {
+  const value = String(email || "").trim().toLowerCase();
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(value) ? value : "";
+}
+
+/**
+ * Normalizes a phone number to its last 10 digits (dropping a leading US "1").
+ * @param {any} phone The raw phone value.
+ * @return {string} The digits, or "" if fewer than 7 digits are present.
+ */
+function normalizePhone(phone) {
+  let digits = String(phone || "").replace(/\D/g, "");
+  if (digits.length === 11 && digits.charAt(0) === "1") digits = digits.substring(1);
+  if (digits.length > 10) digits = digits.substring(digits.length - 10);
+  return digits.length >= 7 ? digits : "";
+}
+
+/**
+ * Computes the Levenshtein edit distance between two strings.
+ * @param {string} a First string.
+ * @param {string} b Second string.
+ * @return {number} Number of single-character edits needed to turn a into b.
+ */
+function levenshteinDistance(a, b) {
+  if (a === b) return 0;
+  if (!a) return b.length;
+  if (!b) return a.length;
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a.charAt(i - 1) === b.charAt(j - 1) ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Returns true if two normalized given names are the same, nicknames of each other,
+ * or one is a prefix of the other ("jon" / "jonathan").
+ * @param {string} a Normalized given name.
+ * @param {string} b Normalized given name.
+ * @return {boolean}
+ */
+function areNicknameEquivalent(a, b) {
+  if (!a || !b) return false;
+  if (a === b) return true;
+  if (a.length >= 3 && b.length >= 3 && (a.indexOf(b) === 0 || b.indexOf(a) === 0)) return true;
+  return NICKNAME_GROUPS.some(group => group.indexOf(a) !== -1 && group.indexOf(b) !== -1);
+}
+
+/**
+ * Scores how likely two people records are the same person.
+ * @param {{fullName: string, email: string, phone: string}} a First person.
+ * @param {{fullName: string, email: string, phone: string}} b Second person.
+ * @return {{score: number, reasons: Array<string>}} Score from 0 to 100 and the reasons that contributed.
+ */
+function scorePersonMatch(a, b) {
+  const reasons = [];
+  let score = 0;
+
+  const nameA = normalizeNameForMatching(a.fullName);
+  const nameB = normalizeNameForMatching(b.fullName);
+  const tokensA = nameA ? nameA.split(" ") : [];
+  const tokensB = nameB ? nameB.split(" ") : [];
+
+  if (nameA && nameA === nameB) {
+    score = 100;
+    reasons.push(String(a.fullName).trim() === String(b.fullName).trim() ? "Identical name" : "Same name ignoring case, spacing or accents");
+  } else if (tokensA.length >= 2 && tokensB.length >= 2) {
+    const firstA = tokensA[0], lastA = tokensA[tokensA.length - 1];
+    const firstB = tokensB[0], lastB = tokensB[tokensB.length - 1];
+    const lastNamesClose = lastA === lastB || (Math.min(lastA.length, lastB.length) >= 5 && levenshteinDistance(lastA, lastB) <= 1);
+
+    if (firstA === firstB && lastA === lastB) {
+      score = Math.max(score, 85);
+      reasons.push("Same first and last name, middle names differ");
+    }
+    if (firstA === lastB && lastA === firstB) {
+      score = Math.max(score, 85);
+      reasons.push("First and last names transposed");
+    }
+    if (lastNamesClose && firstA !== firstB && areNicknameEquivalent(firstA, firstB)) {
+      score = Math.max(score, lastA === lastB ? 85 : 78);
+      reasons.push(`Nickname match (${firstA} / ${firstB})`);
+    }
+
+    // A typo in the last name is more telling than one in the first name, where two
+    // different real names are often one letter apart (Mary / Mark).
+    if (firstA === firstB && lastA !== lastB && lastNamesClose) {
+      score = Math.max(score, 80);
+      reasons.push(`Last name spelled differently (${lastA} / ${lastB})`);
+    } else if (lastA === lastB && firstA !== firstB && Math.min(firstA.length, firstB.length) >= 4 && levenshteinDistance(firstA, firstB) <= 1) {
+      score = Math.max(score, 70);
+      reasons.push(`First name spelled differently (${firstA} / ${firstB})`);
+    }
+
+    const distance = levenshteinDistance(nameA, nameB);
+    const similarity = 1 - distance / Math.max(nameA.length, nameB.length);
+    if (similarity >= 0.9) {
+      score = Math.max(score, Math.round(similarity * 100) - 5);
+      reasons.push(`Similar spelling (${distance} edit${distance === 1 ? "" : "s"})`);
+    }
+  }
+
+  const emailA = normalizeEmail(a.email);
+  const emailB = normalizeEmail(b.email);
+  if (emailA && emailA === emailB) {
+    score = Math.max(score + 20, 80);
+    reasons.push("Same email");
+  }
+
+  const phoneA = normalizePhone(a.phone);
+  const phoneB = normalizePhone(b.phone);
+  if (phoneA && phoneA === phoneB) {
+    score = Math.max(score + 15, 75);
+    reasons.push("Same phone");
+  }
+
+  return { score: Math.min(score, 100), reasons };
+}
+
+/**
+ * Collects every known person keyed by person ID from the Directory and the local
+ * attendance sheets, with the most complete name, email and phone found for each.
+ * @return {Map<string, {id: string, fullName: string, email: string, phone: string, sources: Set<string>}>}
+ */
+function collectKnownPeople() {
+  const people = new Map();
+
+  const addPerson = (id, fullName, email, phone, source) => {
+    const personId = String(id || "").trim();
+    const name = String(fullName || "").trim();
+    if (!personId || !name) return;
+    if (!people.has(personId)) {
+      people.set(personId, { id: personId, fullName: name, email: "", phone: "", sources: new Set() });
+    }
+    const person = people.get(personId);
+    if (!person.email && normalizeEmail(email)) person.email = String(email).trim();
+    if (!person.phone && normalizePhone(phone)) person.phone = String(phone).trim();
+    person.sources.add(source);
+  };
+
+  // Directory entries win for the display name, so they are added first.
+  getDirectoryDataMap().forEach(entry => addPerson(entry.id, entry.fullName, entry.email, entry.phone, "Directory"));
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  // [sheet name, email column index, phone column index (-1 if none)]
+  const localSources = [
+    ["Sunday Service", 6, -1],
+    ["Service Attendance", 6, -1],
+    ["Event Attendance", 6, 7]
+  ];
+  localSources.forEach(([sheetName, emailCol, phoneCol]) => {
+    const data = getSheetData(ss, sheetName);
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      addPerson(row[0], row[1], row[emailCol], phoneCol >= 0 ? row[phoneCol] : "", sheetName);
+    }
+  });
+
+  Logger.log(`collectKnownPeople: ${people.size} distinct person IDs found.`);
+  return people;
+}
+
+/**
+ * Finds likely duplicate pairs among known people. To keep the comparison count manageable,
+ * only pairs sharing a blocking key (last-name prefix, first-name nickname group, email or phone)
+ * are scored.
+ * @param {Map<string, Object>} people Output of collectKnownPeople().
+ * @return {Array<{idA: string, nameA: string, idB: string, nameB: string, score: number, reasons: Array<string>}>}
+ */
+function findDuplicateCandidates(people) {
+  const blocks = new Map();
+  const addToBlock = (key, personId) => {
+    if (!key) return;
+    if (!blocks.has(key)) blocks.set(key, []);
+    blocks.get(key).push(personId);
+  };
+
+  people.forEach(person => {
+    const tokens = normalizeNameForMatching(person.fullName).split(" ").filter(t => t);
+    if (tokens.length > 0) {
+      const first = tokens[0];
+      const last = tokens[tokens.length - 1];
+      addToBlock(`last:${last.substring(0, 3)}`, person.id);
+      addToBlock(`last:${first.substring(0, 3)}`, person.id); // catches transposed names
+      NICKNAME_GROUPS.forEach((group, index) => {
+        if (group.indexOf(first) !== -1) addToBlock(`nick:${index}`, person.id);
+      });
+    }
+    const email = normalizeEmail(person.email);
+    if (email) addToBlock(`email:${email}`, person.id);
+    const phone = normalizePhone(person.phone);
+    if (phone) addToBlock(`phone:${phone}`, person.id);
+  });
+
+  const compared = new Set();
+  const candidates = [];
+  blocks.forEach(ids => {
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        const pairKey = duplicatePairKey(ids[i], ids[j]);
+        if (ids[i] === ids[j] || compared.has(pairKey)) continue;
+        compared.add(pairKey);
+
+        const a = people.get(ids[i]);
+        const b = people.get(ids[j]);
+        const result = scorePersonMatch(a, b);
+        if (result.score >= DUPLICATE_SCORE_THRESHOLD) {
+          candidates.push({ idA: a.id, nameA: a.fullName, idB: b.id, nameB: b.fullName, score: result.score, reasons: result.reasons });
+        }
+      }
+    }
+  });
+
+  candidates.sort((x, y) => y.score - x.score);
+  Logger.log(`findDuplicateCandidates: Compared ${compared.size} pairs, ${candidates.length} scored ${DUPLICATE_SCORE_THRESHOLD}+.`);
+  return candidates;
+}
+
+/**
+ * Builds an order-independent key for a pair of person IDs.
+ * @param {string} idA First ID.
+ * @param {string} idB Second ID.
+ * @return {string} The pair key, e.g. "12|57".
+ */
+function duplicatePairKey(idA, idB) {
+  const ids = [String(idA), String(idB)].sort((x, y) => (Number(x) - Number(y)) || x.localeCompare(y));
+  return ids.join("|");
+}
+
+/**
+ * Queues pairs on the "Possible Duplicates" sheet, skipping pairs that are already there.
+ * The existing pairs are read once and the new rows written in one batch.
+ * Used by other modules (e.g. identity resolution) to raise specific concerns.
+ * @param {Array<{idA: string, nameA: string, idB: string, nameB: string, score: number, reasons: Array<string>}>} candidates
+ * @return {number} The number of new rows added.
+ */
+function queuePossibleDuplicates(candidates) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = getOrCreateSheet(ss, POSSIBLE_DUPLICATES_SHEET_NAME, POSSIBLE_DUPLICATES_HEADERS);
+  const existingKeys = new Set();
+  const lastRow = sheet.getLastRow();
+  if (lastRow >= 2) {
+    sheet.getRange(2, 1, lastRow - 1, 1).getValues().forEach(row => existingKeys.add(String(row[0])));
+  }
+
+  const now = new Date();
+  const newRows = [];
+  candidates.forEach(candidate => {
+    const pairKey = duplicatePairKey(candidate.idA, candidate.idB);
+    if (existingKeys.has(pairKey)) return;
+    existingKeys.add(pairKey);
+    newRows.push([pairKey, candidate.score, candidate.idA, candidate.nameA, candidate.idB, candidate.nameB,
+      candidate.reasons.join("; "), "Pending", "", "", now]);
+  });
+  if (newRows.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, POSSIBLE_DUPLICATES_HEADERS.length).setValues(newRows);
+  }
+  return newRows.length;
+}
+
+/**
+ * Scans all known people for likely duplicates and adds new pairs to the "Possible Duplicates" sheet.
+ * Pairs already on the sheet keep their status, so rejected pairs are not raised again;
+ * pending pairs get their score and reasons refreshed.
+ */
+function scanForPossibleDuplicates() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = getOrCreateSheet(ss, POSSIBLE_DUPLICATES_SHEET_NAME, POSSIBLE_DUPLICATES_HEADERS);
+  const candidates = findDuplicateCandidates(collectKnownPeople());
+
+  const existingRows = new Map(); // Pair Key -> 1-based sheet row
+  const lastRow = sheet.getLastRow();
+  if (lastRow >= 2) {
+    sheet.getRange(2, 1, lastRow - 1, DUPLICATE_STATUS_COL).getValues().forEach((row, index) => {
+      existingRows.set(String(row[0]), { sheetRow: index + 2, status: String(row[DUPLICATE_STATUS_COL - 1]) });
+    });
+  }
+
+  const newRows = [];
+  let refreshedCount = 0;
+  const now = new Date();
+  candidates.forEach(c => {
+    const pairKey = duplicatePairKey(c.idA, c.idB);
+    const existing = existingRows.get(pairKey);
+    if (!existing) {
+      newRows.push([pairKey, c.score, c.idA, c.nameA, c.idB, c.nameB, c.reasons.join("; "), "Pending", "", "", now]);
+    } else if (existing.status === "Pending") {
+      sheet.getRange(existing.sheetRow, 2).setValue(c.score);
+      sheet.getRange(existing.sheetRow, 7).setValue(c.reasons.join("; "));
+      refreshedCount++;
+    }
+  });
+
+  if (newRows.length > 0) {
+    sheet.getRange(sheet.getLastRow() + 1, 1, newRows.length, POSSIBLE_DUPLICATES_HEADERS.length).setValues(newRows);
+  }
+  Logger.log(`✅ Duplicate scan finished: ${newRows.length} new pairs queued, ${refreshedCount} pending pairs refreshed.`);
+
+  try {
+    SpreadsheetApp.getUi().alert(
+      'Duplicate Scan Complete',
+      `${newRows.length} new possible duplicate pair(s) added to '${POSSIBLE_DUPLICATES_SHEET_NAME}'.\n` +
+      `${refreshedCount} pending pair(s) refreshed.`,
+      SpreadsheetApp.getUi().ButtonSet.OK
+    );
+  } catch (err) {
+    // No UI when run from a trigger.
+  }
+}
+
+/**
+ * Marks the selected rows of the "Possible Duplicates" sheet as approved (same person).
+ */
+function approveSelectedDuplicates() {
+  reviewSelectedDuplicates("Approved");
+}
+
+/**
+ * Marks the selected rows of the "Possible Duplicates" sheet as rejected (different people).
+ */
+function rejectSelectedDuplicates() {
+  reviewSelectedDuplicates("Rejected");
+}
+
+/**
+ * Sets the review status on every selected data row of the "Possible Duplicates" sheet.
+ * @param {string} status "Approved" or "Rejected".
+ * @return {Array<Array<any>>} The reviewed rows (values as they were before the update).
+ */
+function reviewSelectedDuplicates(status) {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+  if (sheet.getName() !== POSSIBLE_DUPLICATES_SHEET_NAME) {
+    ui.alert('Wrong Sheet', `Select one or more rows on the '${POSSIBLE_DUPLICATES_SHEET_NAME}' sheet first.`, ui.ButtonSet.OK);
+    return [];
+  }
+
+  const selection = sheet.getActiveRange();
+  const firstRow = Math.max(selection.getRow(), 2);
+  const lastRow = Math.min(selection.getLastRow(), sheet.getLastRow());
+  if (lastRow < firstRow) {
+    ui.alert('No Rows Selected', 'Select one or more duplicate pairs below the header row.', ui.ButtonSet.OK);
+    return [];
+  }
+
+  const rows = sheet.getRange(firstRow, 1, lastRow - firstRow + 1, POSSIBLE_DUPLICATES_HEADERS.length).getValues();
+  const reviewer = getActiveUserEmail();
+  const now = new Date();
+  const reviewed = [];
+  rows.forEach((row, index) => {
+    if (!row[0]) return;
+    sheet.getRange(firstRow + index, DUPLICATE_STATUS_COL, 1, 3).setValues([[status, reviewer, now]]);
+    reviewed.push(row);
+  });
+
+  Logger.log(`✅ Marked ${reviewed.length} duplicate pair(s) as ${status}.`);
+  ui.alert('Review Saved', `${reviewed.length} pair(s) marked as ${status}.`, ui.ButtonSet.OK);
+  return reviewed;
+}
+
+/**
+ * Adds the "👥 People" menu for identity management.
+ * Called by the master onOpen(e) in SundayServiceChecklist.js.
+ */
+function addPeopleMenu() {
+  const ui = SpreadsheetApp.getUi();
+  ui.createMenu('👥 People')
+    .addItem('🔍 Scan for Possible Duplicates', 'scanForPossibleDuplicates')
+    .addItem('✅ Approve Selected Duplicates', 'approveSelectedDuplicates')
+    .addItem('❌ Reject Selected Duplicates', 'rejectSelectedDuplicates')
+    .addItem('🔀 Merge Approved Duplicates', 'mergeApprovedDuplicates')
+    .addSeparator()
+    .addItem('🔀 Merge People…', 'promptMergePeople')
+    .addItem('↩️ Undo Selected Merge', 'undoSelectedMerge')
+    .addSeparator()
+    .addItem('🧭 Build ID Conflicts Report', 'buildIdConflictsReport')
+    .addItem('🛠️ Apply Checked Conflict Fixes', 'applyCheckedIdConflictFixes')
+    .addToUi();
+  Logger.log("✅ People menu definition attempted by addPeopleMenu.");
+}
@@ -0,0 +1,97 @@
+/**
+ * Event Summary
+ * Builds the "Event Summary" sheet: one row per event instance (each Sunday service date, or
+ * Event Name + Event ID) with total attendees, first-timers, returning attendees, volunteers and
+ * attendees per activity level, so ministry leads can see how each program performed.
+ */
+
+const EVENT_SUMMARY_SHEET_NAME = "Event Summary";
+const EVENT_SUMMARY_BASE_HEADERS = ["Event", "Event ID", "Date", "Type", "Total Attendees", "First-Timers", "Returning", "Volunteers"];
+
+/**
+ * Rebuilds the "Event Summary" sheet from the same attendance data used for Attendance Stats.
+ * A first-timer is someone whose earliest recorded attendance is this event instance.
+ * Activity levels come from Column L of "Attendance Stats" (the person's current level).
+ */
+function updateEventSummarySheet() {
+  const rawData = getIncrementalAttendanceRecords(); // Cached matched records (IncrementalStats.js)
+  if (!rawData || rawData.length === 0) {
+    Logger.log("❌ No attendance data for the Event Summary.");
+    return;
+  }
+  const grouped = groupAttendanceRecordsById(rawData);
+  const activityLevels = getActivityLevelsById();
+
+  const events = new Map(); // eventKey -> event summary
+  const levelsSeen = new Set();
+  grouped.forEach((records, personId) => {
+    const firstRecord = records.reduce((earliest, r) => (!earliest || r.date < earliest.date) ? r : earliest, null);
+    const level = activityLevels.get(personId) || "(none)";
+    levelsSeen.add(level);
+
+    records.forEach(r => {
+      if (!events.has(r.eventKey)) {
+        events.set(r.eventKey, {
+          eventName: r.isSundayService ? "Sunday Service" : r.eventName,
+          eventId: r.isSundayService ? "" : r.eventId,
+          type: r.isSundayService ? "Sunday Service" : "Event",
+          date: r.date,
+          attendees: new Set(),
+          firstTimers: new Set(),
+          volunteers: new Set(),
+          levels: new Map()
+        });
+      }
+      const event = events.get(r.eventKey);
+      if (r.date < event.date) event.date = r.date;
+      event.attendees.add(personId);
+      if (firstRecord && firstRecord.eventKey === r.eventKey) event.firstTimers.add(personId);
+      if (r.isVolunteer) event.volunteers.add(personId);
+      if (!event.levels.has(level)) event.levels.set(level, new Set());
+      event.levels.get(level).add(personId);
+    });
+  });
+
+  const levels = ACTIVITY_LEVEL_ORDER.filter(l => levelsSeen.has(l))
+    .concat(Array.from(levelsSeen).filter(l => ACTIVITY_LEVEL_ORDER.indexOf(l) === -1).sort());
+  const headers = EVENT_SUMMARY_BASE_HEADERS.concat(levels.map(l => `${l} Attendees`));
+  const output = Array.from(events.values())
+    .sort((a, b) => b.date.getTime() - a.date.getTime())
+    .map(event => [
+      event.eventName,
+      event.eventId,
+      event.date,
+      event.type,
+      event.attendees.size,
+      event.firstTimers.size,
+      event.attendees.size - event.firstTimers.size,
+      event.volunteers.size
+    ].concat(levels.map(l => event.levels.has(l) ? event.levels.get(l).size : 0)));
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = getOrCreateSheet(ss, EVENT_SUMMARY_SHEET_NAME, null);
+  sheet.clearContents();
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold");
+  sheet.setFrozenRows(1);
+  if (output.length > 0) {
+    sheet.getRange(2, 1, output.length, headers.length).setValues(output);
+    sheet.getRange(2, 3, output.length, 1).setNumberFormat("MM/dd/yyyy");
+  }
+  Logger.log(`✅ '${EVENT_SUMMARY_SHEET_NAME}' rebuilt with ${output.length} event instance(s).`);
+}
+
+/**
+ * Reads each person's current activity level from "Attendance Stats" (ID in Column A, level in Column L).
+ * @return {Map<string, string>} Person ID -> activity level. Empty if the sheet is missing.
+ */
+function getActivityLevelsById() {
+  const levels = new Map();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName("Attendance Stats");
+  if (!sheet || sheet.getLastRow() < 2) return levels;
+  sheet.getRange(2, 1, sheet.getLastRow() - 1, ATTENDANCE_STATS_ACTIVITY_COL).getValues().forEach(row => {
+    const id = String(row[0]).trim();
+    const level = String(row[ATTENDANCE_STATS_ACTIVITY_COL - 1] || "").trim();
+    if (id && level) levels.set(id, level);
+  });
+  return levels;
+}
@@ -0,0 +1,201 @@
+/**
+ * Follow-Up Digest
+ * Emails each caretaker the follow-ups assigned to them on the "Follow-Up Queue" sheet (Status Open or
+ * Contacted), with the person's last attendance, reason and contact details from the Directory.
+ * The Caretaker cell may hold an email address or the caretaker's name as it appears in the Directory.
+ * Mail goes through a mail adapter (MailAdapter.js): MailApp by default, a recording adapter for previews and tests.
+ */
+
+const FOLLOW_UP_DIGEST_STATUSES = ["Open", "Contacted"];
+const FOLLOW_UP_DIGEST_TRIGGER_HANDLER = 'runFollowUpDigests';
+
+/**
+ * Sends one digest email per caretaker with open follow-ups.
+ * @param {Object} [mailAdapter] Mail adapter to send with. Uses MailApp when omitted (menu and trigger runs).
+ * @return {{sent: number, caretakers: number, unassigned: number, unreachable: Array<string>}} What was sent and
+ *   what could not be: follow-ups with no caretaker, and caretakers with no email address or whose digest failed to send.
+ */
+function sendFollowUpDigests(mailAdapter) {
+  const mail = resolveMailAdapter(mailAdapter);
+  const result = { sent: 0, caretakers: 0, unassigned: 0, unreachable: [] };
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(FOLLOW_UP_QUEUE_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) {
+    Logger.log(`ℹ️ '${FOLLOW_UP_QUEUE_SHEET_NAME}' is empty or missing. No follow-up digests sent.`);
+    return result;
+  }
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, FOLLOW_UP_QUEUE_HEADERS.length).getValues()
+    .filter(row => FOLLOW_UP_DIGEST_STATUSES.indexOf(normalizeFollowUpStatus(row[FOLLOW_UP_COL.status])) !== -1
+      && String(row[FOLLOW_UP_COL.name]).trim() !== "");
+
+  // Caretaker -> their follow-up rows, in queue order (soonest due first)
+  const byCaretaker = new Map();
+  rows.forEach(row => {
+    const caretaker = String(row[FOLLOW_UP_COL.caretaker] || "").trim();
+    if (!caretaker) {
+      result.unassigned++;
+      return;
+    }
+    if (!byCaretaker.has(caretaker)) byCaretaker.set(caretaker, []);
+    byCaretaker.get(caretaker).push(row);
+  });
+  result.caretakers = byCaretaker.size;
+  if (result.unassigned > 0) {
+    Logger.log(`⚠️ ${result.unassigned} open follow-up(s) have no caretaker and are not in any digest.`);
+  }
+  if (byCaretaker.size === 0) {
+    Logger.log("ℹ️ No assigned open follow-ups. No digests sent.");
+    return result;
+  }
+
+  const directory = getDirectoryDataMap();
+  const directoryById = new Map();
+  directory.forEach(entry => directoryById.set(String(entry.id), entry));
+  const contactFor = row => directoryById.get(String(row[FOLLOW_UP_COL.id]).trim())
+    || directory.get(personNameKey(row[FOLLOW_UP_COL.name])) || null;
+
+  byCaretaker.forEach((caretakerRows, caretaker) => {
+    const email = caretakerEmail(caretaker, directory);
+    if (!email) {
+      Logger.log(`⚠️ No email address for caretaker "${caretaker}". Put an email in the Caretaker column or add them to the Directory.`);
+      result.unreachable.push(caretaker);
+      return;
+    }
+    if (mail.remainingQuota() < 1) {
+      Logger.log(`❌ Daily email quota used up. Digest for "${caretaker}" not sent.`);
+      result.unreachable.push(caretaker);
+      return;
+    }
+    try {
+      mail.send(buildFollowUpDigest(caretaker, email, caretakerRows, contactFor));
+    } catch (error) {
+      Logger.log(`❌ Follow-up digest to ${caretaker} <${email}> failed: ${error.message}`);
+      result.unreachable.push(caretaker);
+      return;
+    }
+    result.sent++;
+    Logger.log(`✅ Follow-up digest sent to ${caretaker} <${email}> (${caretakerRows.length} people).`);
+  });
+
+  Logger.log(`✅ Follow-up digests: ${result.sent} sent to ${result.caretakers} caretaker(s), ${result.unreachable.length} not reachable.`);
+  return result;
+}
+
+/**
+ * Finds a caretaker's email: the Caretaker cell itself if it is an address, otherwise their Directory email.
+ * @param {string} caretaker The Caretaker cell.
+ * @param {Map<string, Object>} directory Output of getDirectoryDataMap().
+ * @return {string} The email address, or "" if none is known.
+ */
+function caretakerEmail(caretaker, directory) {
+  const direct = normalizeEmail(caretaker);
+  if (direct) return direct;
+  const entry = directory.get(personNameKey(caretaker));
+  return entry ? normalizeEmail(entry.email) : "";
+}
+
+/**
+ * Builds one caretaker's digest message.
+ * @param {string} caretaker The Caretaker cell, used to greet them.
+ * @param {string} email Where to send it.
+ * @param {Array<Array<any>>} rows Their "Follow-Up Queue" rows.
+ * @param {function(Array<any>): Object|null} contactFor Looks up a queue row's Directory entry.
+ * @return {MailMessage} The message.
+ */
+function buildFollowUpDigest(caretaker, email, rows, contactFor) {
+  const formatDate = value => {
+    const date = toDate(value);
+    return date ? formatCongregationDate(date, "MM/dd/yyyy") : "—";
+  };
+  const greetingName = normalizeEmail(caretaker) ? "" : ` ${caretaker}`;
+
+  const lines = [
+    `Hi${greetingName},`,
+    "",
+    `You have ${rows.length} ${rows.length === 1 ? "person" : "people"} to follow up with:`,
+    ""
+  ];
+  rows.forEach((row, index) => {
+    const contact = contactFor(row);
+    lines.push(`${index + 1}. ${row[FOLLOW_UP_COL.name]} (${normalizeFollowUpStatus(row[FOLLOW_UP_COL.status])}, due ${formatDate(row[FOLLOW_UP_COL.dueDate])})`);
+    lines.push(`   Reason: ${row[FOLLOW_UP_COL.reason] || "—"}`);
+    lines.push(`   Last attended: ${formatDate(row[FOLLOW_UP_COL.lastAttended])}`);
+    lines.push(`   Email: ${(contact && contact.email) || "—"}   Phone: ${(contact && contact.phone) || "—"}`);
+    if (String(row[FOLLOW_UP_COL.notes] || "").trim()) {
+      lines.push(`   Notes: ${String(row[FOLLOW_UP_COL.notes]).trim().replace(/\n/g, " / ")}`);
+    }
+    lines.push("");
+  });
+  lines.push(`Please update Status and Notes on the '${FOLLOW_UP_QUEUE_SHEET_NAME}' sheet once you have been in touch:`);
+  lines.push(SpreadsheetApp.getActiveSpreadsheet().getUrl());
+
+  return {
+    to: email,
+    subject: `Follow-ups for this week: ${rows.length} ${rows.length === 1 ? "person" : "people"}`,
+    body: lines.join("\n")
+  };
+}
+
+/**
+ * Weekly trigger handler: refreshes the "Follow-Up Queue" from current attendance (processFollowUpsById),
+ * then sends the digests, so caretakers are not sent people who have since come back.
+ * @return {{sent: number, caretakers: number, unassigned: number, unreachable: Array<string>}} See sendFollowUpDigests.
+ */
+function runFollowUpDigests() {
+  processFollowUpsById();
+  return sendFollowUpDigests();
+}
+
+/**
+ * Menu handler: builds the digests without sending them and logs each message.
+ */
+function previewFollowUpDigests() {
+  const recorder = createRecordingMailAdapter();
+  const result = sendFollowUpDigests(recorder);
+  recorder.sent.forEach(message => Logger.log(`--- To: ${message.to}\nSubject: ${message.subject}\n\n${message.body}`));
+  SpreadsheetApp.getUi().alert('Follow-Up Digest Preview',
+    `${recorder.sent.length} digest(s) would be sent. Open Extensions > Apps Script > Executions to read them.` +
+    (result.unassigned > 0 ? `\n\n${result.unassigned} open follow-up(s) have no caretaker.` : "") +
+    (result.unreachable.length > 0 ? `\n\nNo email address for: ${result.unreachable.join(", ")}` : ""),
+    SpreadsheetApp.getUi().ButtonSet.OK);
+}
+
+/**
+ * Menu handler: sends the digests now and reports what happened.
+ */
+function sendFollowUpDigestsNow() {
+  const result = sendFollowUpDigests();
+  SpreadsheetApp.getUi().alert('Follow-Up Digests',
+    `${result.sent} digest(s) sent.` +
+    (result.unassigned > 0 ? `\n\n${result.unassigned} open follow-up(s) have no caretaker.` : "") +
+    (result.unreachable.length > 0 ? `\n\nNot sent to: ${result.unreachable.join(", ")}` : ""),
+    SpreadsheetApp.getUi().ButtonSet.OK);
+}
+
+/**
+ * Creates a weekly time-driven trigger (Monday morning) for runFollowUpDigests,
+ * replacing any existing one.
+ */
+function setupFollowUpDigestTrigger() {
+  const ui = SpreadsheetApp.getUi();
+
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === FOLLOW_UP_DIGEST_TRIGGER_HANDLER) {
+      ScriptApp.deleteTrigger(trigger);
+      Logger.log(`Removed existing '${FOLLOW_UP_DIGEST_TRIGGER_HANDLER}' trigger.`);
+    }
+  });
+
+  ScriptApp.newTrigger(FOLLOW_UP_DIGEST_TRIGGER_HANDLER)
+    .timeBased()
+    .onWeekDay(ScriptApp.WeekDay.MONDAY)
+    .atHour(7)
+    .create();
+
+  Logger.log(`✅ Weekly trigger created for '${FOLLOW_UP_DIGEST_TRIGGER_HANDLER}'.`);
+  ui.alert(
+    'Trigger Created!',
+    `Every Monday morning '${FOLLOW_UP_QUEUE_SHEET_NAME}' will be refreshed and each caretaker emailed their open follow-ups.`,
+    ui.ButtonSet.OK
+  );
+}
@@ -0,0 +1,133 @@
+/**
+ * Follow-Up Policies
+ * Who needs follow-up, and when, is set per audience on the "Follow-Up Policies" settings sheet:
+ *   Audience  - "First-timer" (one visit so far), an activity level from Column L of Attendance Stats
+ *               (Core, Active, Inactive, ...), or "Everyone".
+ *   Rule      - "Days Since Last" (days since they last attended) or "Sundays Missed" (Sundays missed in a row).
+ *   Threshold - follow up once the rule's number reaches this.
+ *   Repeat Every (Days) - optional: while the person stays away, follow up again this many days after the
+ *               last follow-up was flagged, even if it was resolved. Blank means once per absence.
+ * Each person gets the first policy, by Priority, whose audience they belong to; rows with the same audience
+ * are alternatives (any one of them triggers). People away more than FOLLOW_UP_GAP_MAX_DAYS are never chased.
+ *
+ * The "Follow-Up Exclusions" sheet snoozes (until a date) or opts out (indefinitely, or until a date)
+ * individual people, e.g. while traveling or after moving away.
+ */
+
+const FOLLOW_UP_POLICIES_SHEET_NAME = "Follow-Up Policies";
+const FOLLOW_UP_POLICIES_HEADERS = ["Priority", "Audience", "Rule", "Threshold", "Repeat Every (Days)", "Enabled"];
+const FOLLOW_UP_POLICIES_DEFAULT_ROWS = [
+  [1, "First-timer", "Days Since Last", 14, "", true],
+  [2, "Core", "Sundays Missed", 2, "", true],
+  [3, "Inactive", "Days Since Last", 90, 90, true],  // Quarterly
+  [4, "Everyone", "Days Since Last", 30, "", true]   // Anyone not covered above; keep it last
+];
+const FOLLOW_UP_AUDIENCE_FIRST_TIMER = "first-timer";
+const FOLLOW_UP_AUDIENCE_EVERYONE = "everyone";
+const FOLLOW_UP_RULES = ["days since last", "sundays missed"];
+const FOLLOW_UP_EXCLUSIONS_SHEET_NAME = "Follow-Up Exclusions";
+const FOLLOW_UP_EXCLUSIONS_HEADERS = ["Full Name", "Person ID", "Type", "Until", "Reason"];
+const FOLLOW_UP_EXCLUSION_TYPES = ["Snooze", "Opt-Out"];
+
+/**
+ * Reads the enabled follow-up policies, one per audience, in priority order.
+ * @return {Array<{audience: string, label: string, rules: Array<{rule: string, threshold: number}>, repeatDays: number}>}
+ *   audience and rule are lower case; repeatDays is 0 when blank.
+ */
+function getFollowUpPolicies() {
+  const settings = readSettingsSheet(FOLLOW_UP_POLICIES_SHEET_NAME, FOLLOW_UP_POLICIES_HEADERS, FOLLOW_UP_POLICIES_DEFAULT_ROWS)
+    .filter(setting => isSettingEnabled(setting["Enabled"]))
+    .sort((a, b) => (Number(a["Priority"]) || 0) - (Number(b["Priority"]) || 0));
+
+  const byAudience = new Map();
+  settings.forEach(setting => {
+    const label = String(setting["Audience"] || "").trim();
+    const rule = String(setting["Rule"] || "").trim().toLowerCase();
+    const threshold = Number(setting["Threshold"]);
+    if (!label) return;
+    if (FOLLOW_UP_RULES.indexOf(rule) === -1 || String(setting["Threshold"]).trim() === "" || isNaN(threshold)) {
+      Logger.log(`⚠️ Follow-up policy for "${label}": rule "${setting["Rule"]}" / threshold "${setting["Threshold"]}" not understood. Row ignored.`);
+      return;
+    }
+    const audience = label.toLowerCase();
+    if (!byAudience.has(audience)) {
+      byAudience.set(audience, { audience: audience, label: label, rules: [], repeatDays: 0 });
+    }
+    const policy = byAudience.get(audience);
+    policy.rules.push({ rule: rule, threshold: threshold });
+    const repeatDays = Number(setting["Repeat Every (Days)"]);
+    if (repeatDays > 0 && (!policy.repeatDays || repeatDays < policy.repeatDays)) policy.repeatDays = repeatDays;
+  });
+  return Array.from(byAudience.values());
+}
+
+/**
+ * Applies the policies to one person.
+ * @param {{isFirstTimer: boolean, activityLevel: string, daysSince: number, sundaysMissed: number|string}} person
+ *   sundaysMissed is "" for someone who has never attended a Sunday service.
+ * @param {Array<Object>} policies Output of getFollowUpPolicies().
+ * @return {{policy: Object|null, reasons: Array<string>}} The policy that applies to them and why it triggered
+ *   (no reasons when it did not).
+ */
+function evaluateFollowUpPolicy(person, policies) {
+  const level = String(person.activityLevel || "").trim().toLowerCase();
+  const policy = policies.find(candidate =>
+    candidate.audience === FOLLOW_UP_AUDIENCE_EVERYONE ||
+    (candidate.audience === FOLLOW_UP_AUDIENCE_FIRST_TIMER ? person.isFirstTimer : candidate.audience === level)) || null;
+  if (!policy || person.daysSince > FOLLOW_UP_GAP_MAX_DAYS) return { policy: policy, reasons: [] };
+
+  const reasons = [];
+  policy.rules.forEach(({ rule, threshold }) => {
+    if (rule === "days since last" && person.daysSince >= threshold) {
+      reasons.push(`${policy.label}: no attendance for ${person.daysSince} days`);
+    } else if (rule === "sundays missed" && person.sundaysMissed !== "" && Number(person.sundaysMissed) >= threshold) {
+      reasons.push(`${policy.label}: missed ${person.sundaysMissed} Sundays in a row`);
+    }
+  });
+  return { policy: policy, reasons: reasons };
+}
+
+/**
+ * Loads the snoozes and opt-outs that are in effect on a date.
+ * @param {Date} today Midnight of the day to check.
+ * @return {{find: function(string, string): ({type: string, until: Date|null, reason: string}|null)}}
+ *   find(personId, fullName) returns the person's exclusion, matched by ID, or by name for rows without an ID.
+ */
+function loadFollowUpExclusions(today) {
+  const aliases = loadPersonAliases();
+  const byId = new Map();
+  const byName = new Map();
+  readSettingsSheet(FOLLOW_UP_EXCLUSIONS_SHEET_NAME, FOLLOW_UP_EXCLUSIONS_HEADERS, []).forEach(setting => {
+    const typeText = String(setting["Type"] || "").trim().toLowerCase();
+    const type = FOLLOW_UP_EXCLUSION_TYPES.find(candidate => candidate.toLowerCase() === typeText);
+    const until = toDate(setting["Until"]);
+    if (!type) {
+      Logger.log(`⚠️ Follow-up exclusion for "${setting["Full Name"]}": type "${setting["Type"]}" is not Snooze or Opt-Out. Row ignored.`);
+      return;
+    }
+    if (type === "Snooze" && !until) {
+      Logger.log(`⚠️ Snooze for "${setting["Full Name"]}" has no Until date. Row ignored.`);
+      return;
+    }
+    if (until && startOfDay(until) < today) return; // Already over
+
+    const exclusion = { type: type, until: until ? startOfDay(until) : null, reason: String(setting["Reason"] || "").trim() };
+    const personId = aliases.resolveId(setting["Person ID"]);
+    if (personId) byId.set(personId, exclusion);
+    else if (personNameKey(setting["Full Name"])) byName.set(personNameKey(setting["Full Name"]), exclusion);
+  });
+
+  return {
+    find: (personId, fullName) => byId.get(aliases.resolveId(personId)) || byName.get(personNameKey(fullName)) || null
+  };
+}
+
+/**
+ * @param {{type: string, until: Date|null, reason: string}} exclusion An exclusion from loadFollowUpExclusions().
+ * @return {string} e.g. "Snoozed until 08/31/2025 (traveling)".
+ */
+function describeFollowUpExclusion(exclusion) {
+  const label = exclusion.type === "Snooze" ? "Snoozed" : "Opted out";
+  const until = exclusion.until ? ` until ${formatCongregationDate(exclusion.until, "MM/dd/yyyy")}` : "";
+  return `${label}${until}${exclusion.reason ? ` (${exclusion.reason})` : ""}`;
+}
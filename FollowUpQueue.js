@@ -0,0 +1,181 @@
+/**
+ * Follow-Up Queue
+ * One row per person who needs contact, on the "Follow-Up Queue" sheet, so each follow-up has an owner
+ * and a history instead of a "YES" flag that is recomputed on every run. The decisions come from
+ * getFollowUpDecisions (NeedFollowUp.js), keyed on the person ID, using the "Follow-Up Policies" sheet
+ * (see FollowUpPolicies.js) to decide who is queued.
+ *
+ * Caretaker, Status, Due Date and Notes are for people to fill in and are kept on every refresh.
+ * The refresh only updates Reason, Last Attended and Days Since, and moves Status on when the facts change:
+ *   Open/Contacted -> Resolved when the person attends again;
+ *   Resolved       -> Open when they attended again and then lapsed again, or when their policy's
+ *                     "Repeat Every (Days)" have passed since it was flagged;
+ *   Snoozed        -> Open once the Due Date (the snooze-until date) has passed;
+ *   Open/Contacted -> Snoozed or Resolved when the person is snoozed or opted out on "Follow-Up Exclusions".
+ */
+
+const FOLLOW_UP_QUEUE_SHEET_NAME = "Follow-Up Queue";
+const FOLLOW_UP_QUEUE_HEADERS = ["ID", "Full Name", "Reason", "Last Attended", "Days Since", "Caretaker", "Status", "Due Date", "Notes", "Flagged On", "Updated On"];
+const FOLLOW_UP_COL = { id: 0, name: 1, reason: 2, lastAttended: 3, daysSince: 4, caretaker: 5, status: 6, dueDate: 7, notes: 8, flaggedOn: 9, updatedOn: 10 }; // 0-based
+const FOLLOW_UP_STATUSES = ["Open", "Contacted", "Snoozed", "Resolved"]; // Also the sort order of the queue
+const FOLLOW_UP_GAP_MAX_DAYS = 365; // People away longer than this are no longer chased
+const FOLLOW_UP_DUE_DAYS = 7; // New follow-ups are due a week after they are flagged
+
+/**
+ * Refreshes the "Follow-Up Queue" sheet from the follow-up decisions, keeping what people entered.
+ * Rows are matched on the person ID (merged IDs resolve to the survivor); rows without an ID are matched by name.
+ * @param {Map<string, Object>} [decisions] Output of getFollowUpDecisions(). Worked out when omitted.
+ */
+function updateFollowUpQueue(decisions) {
+  if (!(decisions instanceof Map)) decisions = getFollowUpDecisions(); // Menu and trigger runs pass nothing or an event object
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const today = startOfDay(new Date());
+  const resolvePersonId = createFollowUpIdResolver(decisions);
+
+  const sheet = getOrCreateSheet(ss, FOLLOW_UP_QUEUE_SHEET_NAME, FOLLOW_UP_QUEUE_HEADERS);
+  const existingRows = sheet.getLastRow() >= 2
+    ? sheet.getRange(2, 1, sheet.getLastRow() - 1, FOLLOW_UP_QUEUE_HEADERS.length).getValues()
+    : [];
+
+  const rows = [];
+  const seen = new Set();
+  const counts = { added: 0, reopened: 0, resolved: 0 };
+  existingRows.forEach(row => {
+    const personId = resolvePersonId(row[FOLLOW_UP_COL.id], row[FOLLOW_UP_COL.name]);
+    const decision = decisions.get(personId);
+    if (!decision || seen.has(personId)) { // Keep rows we cannot match exactly as they are
+      if (row.some(cell => String(cell).trim() !== "")) rows.push(row);
+      return;
+    }
+    seen.add(personId);
+    const status = normalizeFollowUpStatus(row[FOLLOW_UP_COL.status]);
+    const previousLast = toDate(row[FOLLOW_UP_COL.lastAttended]);
+    const attendedSince = !previousLast || decision.lastAttended > previousLast;
+    const flaggedOn = toDate(row[FOLLOW_UP_COL.flaggedOn]);
+    const repeatDue = decision.repeatDays > 0 && flaggedOn &&
+      today.getTime() - startOfDay(flaggedOn).getTime() >= decision.repeatDays * 24 * 60 * 60 * 1000;
+    row[FOLLOW_UP_COL.id] = decision.id;
+    row[FOLLOW_UP_COL.status] = status;
+
+    if (decision.needFollowUp) {
+      row[FOLLOW_UP_COL.reason] = decision.reasons.join("; ");
+      row[FOLLOW_UP_COL.lastAttended] = decision.lastAttended;
+      row[FOLLOW_UP_COL.daysSince] = decision.daysSince;
+      if (status === "Resolved" && ((previousLast && attendedSince) || repeatDue)) {
+        reopenFollowUpRow(row, today);
+        counts.reopened++;
+      } else if (status === "Snoozed" && (toDate(row[FOLLOW_UP_COL.dueDate]) || today) <= today) {
+        row[FOLLOW_UP_COL.status] = "Open";
+      }
+      row[FOLLOW_UP_COL.updatedOn] = today;
+    } else if ((status === "Open" || status === "Contacted") && decision.exclusion) {
+      const snoozed = decision.exclusion.type === "Snooze";
+      row[FOLLOW_UP_COL.status] = snoozed ? "Snoozed" : "Resolved";
+      if (snoozed) row[FOLLOW_UP_COL.dueDate] = decision.exclusion.until;
+      row[FOLLOW_UP_COL.notes] = appendFollowUpNote(row[FOLLOW_UP_COL.notes], `${describeFollowUpExclusion(decision.exclusion)}.`);
+      row[FOLLOW_UP_COL.updatedOn] = today;
+    } else if ((status === "Open" || status === "Contacted") && attendedSince) {
+      row[FOLLOW_UP_COL.status] = "Resolved";
+      row[FOLLOW_UP_COL.lastAttended] = decision.lastAttended;
+      row[FOLLOW_UP_COL.daysSince] = decision.daysSince;
+      row[FOLLOW_UP_COL.notes] = appendFollowUpNote(row[FOLLOW_UP_COL.notes], `Attended again ${formatCongregationDate(decision.lastAttended, "MM/dd/yyyy")}.`);
+      row[FOLLOW_UP_COL.updatedOn] = today;
+      counts.resolved++;
+    }
+    rows.push(row);
+  });
+
+  decisions.forEach((decision, personId) => {
+    if (!decision.needFollowUp || seen.has(personId)) return;
+    const row = Array(FOLLOW_UP_QUEUE_HEADERS.length).fill("");
+    row[FOLLOW_UP_COL.id] = decision.id;
+    row[FOLLOW_UP_COL.name] = decision.fullName;
+    row[FOLLOW_UP_COL.reason] = decision.reasons.join("; ");
+    row[FOLLOW_UP_COL.lastAttended] = decision.lastAttended;
+    row[FOLLOW_UP_COL.daysSince] = decision.daysSince;
+    reopenFollowUpRow(row, today);
+    row[FOLLOW_UP_COL.updatedOn] = today;
+    rows.push(row);
+    counts.added++;
+  });
+
+  // Open work first, soonest due first
+  const statusRank = row => {
+    const index = FOLLOW_UP_STATUSES.indexOf(row[FOLLOW_UP_COL.status]);
+    return index === -1 ? FOLLOW_UP_STATUSES.length : index;
+  };
+  const dueTime = row => { const due = toDate(row[FOLLOW_UP_COL.dueDate]); return due ? due.getTime() : Infinity; };
+  rows.sort((a, b) => statusRank(a) - statusRank(b) || dueTime(a) - dueTime(b) ||
+    String(a[FOLLOW_UP_COL.name]).localeCompare(String(b[FOLLOW_UP_COL.name])));
+
+  writeFollowUpQueue(sheet, rows);
+  Logger.log(`✅ '${FOLLOW_UP_QUEUE_SHEET_NAME}' refreshed: ${rows.length} row(s), ${counts.added} new, ${counts.reopened} reopened, ${counts.resolved} resolved.`);
+}
+
+/**
+ * @param {any} value A Status cell.
+ * @return {string} The matching FOLLOW_UP_STATUSES entry; blank or unknown values count as "Open".
+ */
+function normalizeFollowUpStatus(value) {
+  const text = String(value || "").trim().toLowerCase();
+  return FOLLOW_UP_STATUSES.find(status => status.toLowerCase() === text) || "Open";
+}
+
+/**
+ * Marks a queue row as a new open follow-up, due FOLLOW_UP_DUE_DAYS from today.
+ * Caretaker and Notes are left as they are.
+ * @param {Array<any>} row The queue row.
+ * @param {Date} today Midnight today.
+ */
+function reopenFollowUpRow(row, today) {
+  row[FOLLOW_UP_COL.status] = "Open";
+  row[FOLLOW_UP_COL.flaggedOn] = today;
+  row[FOLLOW_UP_COL.dueDate] = addDays(today, FOLLOW_UP_DUE_DAYS);
+}
+
+/**
+ * @param {any} notes The existing Notes cell.
+ * @param {string} note Text to add.
+ * @return {string} The notes with the new text on its own line.
+ */
+function appendFollowUpNote(notes, note) {
+  const existing = String(notes || "").trim();
+  return existing ? `${existing}\n${note}` : note;
+}
+
+/**
+ * Writes the queue rows below the header, with date formats and a Status dropdown.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The "Follow-Up Queue" sheet.
+ * @param {Array<Array<any>>} rows Queue rows.
+ */
+function writeFollowUpQueue(sheet, rows) {
+  if (sheet.getLastRow() >= 2) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, FOLLOW_UP_QUEUE_HEADERS.length).clearContent();
+  }
+  if (rows.length === 0) return;
+  sheet.getRange(2, 1, rows.length, FOLLOW_UP_QUEUE_HEADERS.length).setValues(rows);
+  [FOLLOW_UP_COL.lastAttended, FOLLOW_UP_COL.dueDate, FOLLOW_UP_COL.flaggedOn, FOLLOW_UP_COL.updatedOn].forEach(col => {
+    sheet.getRange(2, col + 1, rows.length, 1).setNumberFormat("MM/dd/yyyy");
+  });
+  sheet.getRange(2, FOLLOW_UP_COL.status + 1, rows.length, 1).setDataValidation(
+    SpreadsheetApp.newDataValidation().requireValueInList(FOLLOW_UP_STATUSES, true).setAllowInvalid(false).build());
+}
+
+/**
+ * Adds the "🙋 Follow-Up" menu.
+ * Called by the master onOpen(e) in SundayServiceChecklist.js.
+ */
+function addFollowUpMenu() {
+  const ui = SpreadsheetApp.getUi();
+  ui.createMenu('🙋 Follow-Up')
+    .addItem('🔄 Refresh Follow-Up Queue', 'processFollowUpsById')
+    .addSeparator()
+    .addItem('👀 Preview Caretaker Digests', 'previewFollowUpDigests')
+    .addItem('📧 Send Caretaker Digests Now', 'sendFollowUpDigestsNow')
+    .addItem('⏰ Schedule Weekly Caretaker Digests', 'setupFollowUpDigestTrigger')
+    .addSeparator()
+    .addItem('🌟 Run Welcome Pipeline Now', 'runWelcomePipeline')
+    .addItem('⏰ Schedule Daily Welcome Pipeline', 'setupWelcomePipelineTrigger')
+    .addToUi();
+  Logger.log("✅ Follow-Up menu definition attempted by addFollowUpMenu.");
+}
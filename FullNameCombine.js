@@ -28,8 +28,13 @@ function combineNamesOnFormSubmit(e) {
 
   // Ensure both names are present before combining.
   if (firstName && lastName) {
-    // Combine first name and last name.
-    var fullName = firstName + " " + lastName; 
+    // Combine in the right order for the name (e.g. family name first for Chinese/Korean names), see NameModel.js.
+    // People already on file in the old given-first order keep it, so they match their existing ID.
+    var knownNameKeys = null;
+    var fullName = composePersonNameInKnownOrder({ givenName: firstName, familyName: lastName }, function(name) {
+      if (!knownNameKeys) knownNameKeys = loadKnownPersonNameKeys(ss);
+      return knownNameKeys.has(personNameKey(name));
+    });
 
     // Set the combined full name into column B of the target row.
     sheet.getRange(targetRow, 2).setValue(fullName); // Column B
@@ -37,3 +42,20 @@ function combineNamesOnFormSubmit(e) {
     Logger.log("First name or last name is missing in row " + targetRow + ". Full name not combined.");
   }
 }
+
+/**
+ * Collects the name keys of everyone already on file: the Directory, the attendance sheets and the ID ledger.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The active spreadsheet.
+ * @return {Set<string>} personNameKey values.
+ */
+function loadKnownPersonNameKeys(ss) {
+  var keys = new Set(getDirectoryDataMap().keys());
+  ["Service Attendance", "Event Attendance"].forEach(function(sheetName) {
+    getSheetData(ss, sheetName).slice(1).forEach(function(row) {
+      var key = personNameKey(row[1]);
+      if (key) keys.add(key);
+    });
+  });
+  loadAllocatedPersonIdsByName().forEach(function(allocation, key) { keys.add(key); });
+  return keys;
+}
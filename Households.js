@@ -0,0 +1,190 @@
+/**
+ * Households
+ * Groups people into families. A person's household comes from the "Households" sheet in this
+ * spreadsheet when they are listed there, otherwise from a "Household ID" (or "Household") column
+ * on the Directory. The "Household Stats" sheet shows, per household, the weeks any member attended
+ * and the weeks the whole family attended; the Sunday Registration sheet can check in a whole household.
+ */
+
+const HOUSEHOLDS_SHEET_NAME = "Households";
+const HOUSEHOLDS_HEADERS = ["Household ID", "Household Name", "Person ID", "Full Name"];
+const HOUSEHOLD_STATS_SHEET_NAME = "Household Stats";
+const HOUSEHOLD_STATS_HEADERS = ["Household ID", "Household Name", "Members", "Member Count",
+  "Weeks Any Member (Year)", "Weeks Whole Family (Year)", "Weeks Any Member (Total)", "Weeks Whole Family (Total)",
+  "Last Week Attended", "Last Whole-Family Week"];
+
+/**
+ * Loads every household and its members.
+ * Rows on the "Households" sheet take precedence over the Directory column, so a family can be
+ * corrected locally without editing the Directory. Merged person IDs resolve to their survivor.
+ * @return {{households: Map<string, {name: string, members: Array<{id: string, fullName: string}>}>, householdByPerson: Map<string, string>}}
+ */
+function loadHouseholds() {
+  const aliases = loadPersonAliases();
+  const householdByPerson = new Map(); // Person ID -> Household ID
+  const names = new Map();             // Person ID -> Full Name
+  const householdNames = new Map();    // Household ID -> Household Name
+
+  getDirectoryDataMap().forEach(entry => {
+    const personId = aliases.resolveId(entry.id);
+    if (!personId || !entry.householdId) return;
+    householdByPerson.set(personId, entry.householdId);
+    names.set(personId, entry.fullName);
+  });
+
+  const sheet = getOrCreateSheet(SpreadsheetApp.getActiveSpreadsheet(), HOUSEHOLDS_SHEET_NAME, HOUSEHOLDS_HEADERS);
+  if (sheet.getLastRow() >= 2) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, HOUSEHOLDS_HEADERS.length).getValues().forEach(row => {
+      const householdId = String(row[0] || "").trim();
+      const personId = aliases.resolveId(row[2]);
+      if (!householdId || !personId) return;
+      householdByPerson.set(personId, householdId);
+      if (String(row[3] || "").trim()) names.set(personId, String(row[3]).trim());
+      if (String(row[1] || "").trim()) householdNames.set(householdId, String(row[1]).trim());
+    });
+  }
+
+  const households = new Map();
+  householdByPerson.forEach((householdId, personId) => {
+    if (!households.has(householdId)) households.set(householdId, { name: householdNames.get(householdId) || "", members: [] });
+    households.get(householdId).members.push({ id: personId, fullName: names.get(personId) || "" });
+  });
+
+  // Households without a name are named after their members' family names, e.g. "Kim / Park"
+  households.forEach(household => {
+    household.members.sort((a, b) => String(a.fullName).localeCompare(String(b.fullName)));
+    if (!household.name) {
+      const familyNames = Array.from(new Set(household.members
+        .map(member => splitNameForColumns(member.fullName).lastName)
+        .filter(lastName => lastName)));
+      household.name = familyNames.join(" / ");
+    }
+  });
+
+  Logger.log(`Loaded ${households.size} households covering ${householdByPerson.size} people.`);
+  return { households: households, householdByPerson: householdByPerson };
+}
+
+/**
+ * Rebuilds the "Household Stats" sheet. A week is a service week (Saturday cut-over to Saturday cut-over, see getServiceSunday);
+ * attending any service or event that week counts. "Whole family" means every member attended that week.
+ */
+function updateHouseholdStatsSheet() {
+  const rawData = getIncrementalAttendanceRecords(); // Cached matched records (IncrementalStats.js)
+  if (!rawData || rawData.length === 0) {
+    Logger.log("❌ No attendance data for Household Stats.");
+    return;
+  }
+  const grouped = groupAttendanceRecordsById(rawData);
+  const { households } = loadHouseholds();
+  if (households.size === 0) {
+    Logger.log(`⚠️ No households found. Fill in the '${HOUSEHOLDS_SHEET_NAME}' sheet or a "Household ID" column on the Directory.`);
+  }
+
+  const currentYear = getDateParts(new Date()).year;
+
+  const output = [];
+  households.forEach((household, householdId) => {
+    // Week key -> number of members who attended that week
+    const membersPerWeek = new Map();
+    household.members.forEach(member => {
+      const weeks = new Set((grouped.get(member.id) || []).map(r => formatCongregationDate(r.serviceDate)));
+      weeks.forEach(weekKey => membersPerWeek.set(weekKey, (membersPerWeek.get(weekKey) || 0) + 1));
+    });
+
+    const anyWeeks = Array.from(membersPerWeek.keys()).sort();
+    const wholeWeeks = anyWeeks.filter(weekKey => membersPerWeek.get(weekKey) === household.members.length);
+    const inYear = weekKey => Number(weekKey.slice(0, 4)) === currentYear;
+    const weekDate = weekKey => weekKey ? calendarDate(Number(weekKey.slice(0, 4)), Number(weekKey.slice(5, 7)) - 1, Number(weekKey.slice(8, 10))) : "";
+
+    output.push([
+      householdId,
+      household.name,
+      household.members.map(member => member.fullName || member.id).join(", "),
+      household.members.length,
+      anyWeeks.filter(inYear).length,
+      wholeWeeks.filter(inYear).length,
+      anyWeeks.length,
+      wholeWeeks.length,
+      weekDate(anyWeeks[anyWeeks.length - 1]),
+      weekDate(wholeWeeks[wholeWeeks.length - 1])
+    ]);
+  });
+  output.sort((a, b) => String(a[1]).localeCompare(String(b[1])));
+
+  const sheet = getOrCreateSheet(SpreadsheetApp.getActiveSpreadsheet(), HOUSEHOLD_STATS_SHEET_NAME, HOUSEHOLD_STATS_HEADERS);
+  if (sheet.getLastRow() >= 2) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, HOUSEHOLD_STATS_HEADERS.length).clearContent();
+  }
+  if (output.length > 0) {
+    sheet.getRange(2, 1, output.length, HOUSEHOLD_STATS_HEADERS.length).setValues(output);
+    sheet.getRange(2, 9, output.length, 2).setNumberFormat("MM/dd/yyyy");
+  }
+  Logger.log(`✅ '${HOUSEHOLD_STATS_SHEET_NAME}' rebuilt with ${output.length} household(s).`);
+}
+
+/**
+ * Menu handler for the Sunday Registration sheet: checks in the household of the person on the selected row.
+ * Every member already on the list gets ✓ Present ticked; members not on the list are added and ticked.
+ */
+function checkInHouseholdOnRegistration() {
+  const ui = SpreadsheetApp.getUi();
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const regSheet = ss.getSheetByName("Sunday Registration");
+  if (!regSheet) {
+    ui.alert("Error", "Sunday Registration sheet not found", ui.ButtonSet.OK);
+    return;
+  }
+  const selectedRow = ss.getActiveSheet().getName() === regSheet.getName() ? ss.getActiveRange().getRow() : 0;
+  const lastDataRow = regSheet.getLastRow();
+  if (selectedRow < 6 || selectedRow > lastDataRow) {
+    ui.alert('Select a Person', 'Select a person\'s row on the Sunday Registration sheet (row 6 or below), then try again.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const rows = regSheet.getRange(6, 1, lastDataRow - 5, 5).getValues();
+  const selected = rows[selectedRow - 6];
+  const selectedId = String(selected[0] || "").trim();
+  const { households, householdByPerson } = loadHouseholds();
+  const householdId = householdByPerson.get(selectedId);
+  if (!householdId) {
+    ui.alert('No Household', `${selected[1] || "This person"} is not in a household. Add them on the '${HOUSEHOLDS_SHEET_NAME}' sheet or the Directory.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const household = households.get(householdId);
+  const rowByPersonId = new Map();
+  rows.forEach((row, index) => {
+    const personId = String(row[0] || "").trim();
+    if (personId && !rowByPersonId.has(personId)) rowByPersonId.set(personId, index + 6);
+  });
+
+  const checkboxRule = SpreadsheetApp.newDataValidation().requireCheckbox().build();
+  let nextSheetRow = lastDataRow + 1;
+  const added = [];
+  household.members.forEach(member => {
+    const existingRow = rowByPersonId.get(member.id);
+    if (existingRow) {
+      regSheet.getRange(existingRow, 5).setValue(true);
+      return;
+    }
+    if (!member.fullName) {
+      Logger.log(`⚠️ Household ${householdId}: member ${member.id} has no name and was not added to Sunday Registration.`);
+      return;
+    }
+    const { firstName, lastName } = splitNameForColumns(member.fullName);
+    regSheet.getRange(nextSheetRow, 1, 1, 5).setValues([[member.id, member.fullName, firstName, lastName, true]]);
+    regSheet.getRange(nextSheetRow, 5).setDataValidation(checkboxRule);
+    regSheet.getRange(nextSheetRow, 1, 1, 5).setBorder(true, true, true, true, true, true);
+    added.push(member.fullName);
+    nextSheetRow++;
+  });
+  if (added.length > 0) refreshRowFormatting(regSheet);
+
+  regSheet.getRange("D4").setValue(`Status: ${household.name || householdId} checked in`);
+  Logger.log(`✅ Household ${householdId} checked in on Sunday Registration (${household.members.length} members, ${added.length} added).`);
+  ui.alert('Household Checked In',
+    `${household.members.length} member(s) of ${household.name || householdId} are marked present.` +
+    (added.length > 0 ? `\n\nAdded to the list: ${added.join(", ")}` : ""),
+    ui.ButtonSet.OK);
+}
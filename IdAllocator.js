@@ -0,0 +1,149 @@
+/**
+ * Person ID Allocation Service
+ * The only place where new numeric person IDs are minted. Allocation is serialized with
+ * a script lock, the highest ID handed out so far (the high-water mark) is persisted in
+ * Script Properties, and every allocation is recorded in the "ID Allocations" sheet. Merges and
+ * splits never rewrite that ledger (see PersonMerge.js), so it stays the record of who got which ID.
+ * Newly minted IDs are also written back to the Directory (see DirectoryStaging.js).
+ */
+
+const ID_HIGH_WATER_MARK_PROPERTY = 'PERSON_ID_HIGH_WATER_MARK';
+const ID_ALLOCATIONS_SHEET_NAME = 'ID Allocations';
+const ID_ALLOCATIONS_HEADERS = ['Person ID', 'Full Name', 'Source', 'Allocated At', 'Allocated By'];
+const ID_ALLOCATION_LOCK_TIMEOUT_MS = 30000;
+
+/**
+ * Allocates a new person ID.
+ *
+ * A new ID is minted on every call: two people can share a name, so deciding whether a name
+ * already has an ID is left to the caller (identity resolution, see IdentityResolver.js).
+ *
+ * @param {Object} person The person the ID is for. Only fullName is required.
+ * @param {string} person.fullName Full name of the person.
+ * @param {string} [person.firstName] First name, if known.
+ * @param {string} [person.lastName] Last name, if known.
+ * @param {string} [person.email] Email, if known.
+ * @param {string} source Short description of the code path or sheet requesting the ID.
+ * @param {number} [observedHighestId] Highest ID the caller has already seen in the sheets.
+ *   When omitted, the Directory and local sheets are scanned so IDs typed in by hand are never reused.
+ * @return {number} The allocated person ID.
+ */
+function allocatePersonId(person, source, observedHighestId) {
+  return allocatePersonIds([person], source, observedHighestId)[0];
+}
+
+/**
+ * Allocates one new person ID per person, in order, under a single lock.
+ * The ledger rows are written in one batch and the people staged in the Directory in one pass.
+ * @param {Array<Object>} people The people the IDs are for, in the shape allocatePersonId() takes.
+ * @param {string} source Short description of the code path or sheet requesting the IDs.
+ * @param {number} [observedHighestId] Highest ID the caller has already seen in the sheets.
+ * @return {Array<number>} The allocated IDs, one per person.
+ */
+function allocatePersonIds(people, source, observedHighestId) {
+  const fullNames = people.map(person => String((person && person.fullName) || "").trim());
+  if (fullNames.some(fullName => !fullName)) {
+    throw new Error("allocatePersonId: A full name is required to allocate a person ID.");
+  }
+  if (fullNames.length === 0) return [];
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(ID_ALLOCATION_LOCK_TIMEOUT_MS)) {
+    throw new Error(`allocatePersonId: Could not acquire the ID allocation lock within ${ID_ALLOCATION_LOCK_TIMEOUT_MS / 1000} seconds for "${fullNames.join('", "')}".`);
+  }
+
+  const newIds = [];
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const ledgerSheet = getOrCreateSheet(ss, ID_ALLOCATIONS_SHEET_NAME, ID_ALLOCATIONS_HEADERS);
+
+    const props = PropertiesService.getScriptProperties();
+    const storedMark = parseInt(props.getProperty(ID_HIGH_WATER_MARK_PROPERTY), 10);
+    const sheetsMark = (typeof observedHighestId === 'number' && !isNaN(observedHighestId))
+      ? observedHighestId
+      : scanHighestExistingPersonId();
+    const highWaterMark = Math.max(isNaN(storedMark) ? 0 : storedMark, sheetsMark);
+
+    const now = new Date();
+    const allocatedBy = getActiveUserEmail();
+    const ledgerRows = fullNames.map((fullName, index) => {
+      newIds.push(highWaterMark + index + 1);
+      return [newIds[index], fullName, source || "", now, allocatedBy];
+    });
+    props.setProperty(ID_HIGH_WATER_MARK_PROPERTY, String(newIds[newIds.length - 1]));
+    ledgerSheet.getRange(ledgerSheet.getLastRow() + 1, 1, ledgerRows.length, ID_ALLOCATIONS_HEADERS.length).setValues(ledgerRows);
+    SpreadsheetApp.flush();
+
+    fullNames.forEach((fullName, index) => {
+      Logger.log(`✅ allocatePersonId: Allocated ID ${newIds[index]} to "${fullName}" (source: ${source}).`);
+    });
+  } finally {
+    lock.releaseLock();
+  }
+
+  // Outside the lock: opening the Directory can be slow and the IDs are already safely recorded.
+  stageNewPeopleInDirectory(people.map((person, index) => ({
+    id: newIds[index],
+    person: Object.assign({}, person, { fullName: fullNames[index] })
+  })), source);
+  return newIds;
+}
+
+/**
+ * Reads the "ID Allocations" ledger as a name -> ID map, for callers that match people by name.
+ * IDs minted by matchOrAssignBelCodes are only held in memory until the Directory catches up,
+ * so this is how the next run finds them again. The first allocation for a name wins.
+ * @return {Map<string, {id: number, fullName: string}>} personNameKey -> allocated ID and the name as recorded.
+ */
+function loadAllocatedPersonIdsByName() {
+  const idsByName = new Map();
+  const ledgerSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(ID_ALLOCATIONS_SHEET_NAME);
+  if (!ledgerSheet || ledgerSheet.getLastRow() < 2) return idsByName;
+  ledgerSheet.getRange(2, 1, ledgerSheet.getLastRow() - 1, 2).getValues().forEach(([idValue, fullName]) => {
+    const nameKey = personNameKey(fullName);
+    const id = parseInt(idValue, 10);
+    if (nameKey && !isNaN(id) && !idsByName.has(nameKey)) idsByName.set(nameKey, { id: id, fullName: String(fullName).trim() });
+  });
+  return idsByName;
+}
+
+/**
+ * Scans the external Directory and the local ID sheets for the highest numeric person ID in use.
+ * @return {number} The highest ID found, or 0 if none.
+ */
+function scanHighestExistingPersonId() {
+  const directoryHighest = findHighestIdInDirectory();
+  const localHighest = findHighestIdInLocalSheets(LOCAL_ID_SHEETS.concat([ID_ALLOCATIONS_SHEET_NAME]));
+  return Math.max(directoryHighest, localHighest);
+}
+
+/**
+ * Re-scans all sheets and raises the persisted high-water mark if the sheets contain a higher ID.
+ * The mark is never lowered, so IDs that were allocated but later deleted are not handed out again.
+ * Intended to be run from the Config menu after IDs have been edited by hand.
+ */
+function reseedPersonIdHighWaterMark() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(ID_ALLOCATION_LOCK_TIMEOUT_MS)) {
+    Logger.log("❌ reseedPersonIdHighWaterMark: Could not acquire the ID allocation lock.");
+    return;
+  }
+
+  let newMark;
+  try {
+    const props = PropertiesService.getScriptProperties();
+    const storedMark = parseInt(props.getProperty(ID_HIGH_WATER_MARK_PROPERTY), 10);
+    newMark = Math.max(isNaN(storedMark) ? 0 : storedMark, scanHighestExistingPersonId());
+    props.setProperty(ID_HIGH_WATER_MARK_PROPERTY, String(newMark));
+    Logger.log(`✅ Person ID high-water mark set to ${newMark} (was ${isNaN(storedMark) ? 'unset' : storedMark}).`);
+  } finally {
+    lock.releaseLock();
+  }
+
+  try {
+    const ui = SpreadsheetApp.getUi();
+    ui.alert('ID Counter Reseeded', `The next new person will receive ID ${newMark + 1}.`, ui.ButtonSet.OK);
+  } catch (err) {
+    // No UI when run from a trigger or the editor.
+  }
+}
@@ -0,0 +1,237 @@
+/**
+ * ID Conflict Reconciliation
+ * Lists every name that appears with more than one person ID and every person ID that appears
+ * with more than one name, across the local attendance sheets and the external Directory.
+ * Each conflict gets a suggested fix on the "ID Conflicts" sheet; ticking "Apply Fix" and running
+ * "Apply Checked Conflict Fixes" merges or splits the IDs through PersonMerge.js (reversible from the Merge Log).
+ */
+
+const ID_CONFLICTS_SHEET_NAME = "ID Conflicts";
+const ID_CONFLICTS_HEADERS = ["Conflict Type", "Name", "Person ID", "Found In", "Suggested Fix", "Keep ID", "Apply Fix", "Status"];
+const ID_CONFLICT_APPLY_COL = 7;  // Column G: Apply Fix checkbox (1-based)
+const ID_CONFLICT_STATUS_COL = 8; // Column H: Status (1-based)
+const ID_CONFLICT_NAME_HAS_MULTIPLE_IDS = "Name has multiple IDs";
+const ID_CONFLICT_ID_HAS_MULTIPLE_NAMES = "ID shared by multiple names";
+
+/**
+ * Reads every (ID, name) pair from the local ID sheets and the Directory spreadsheet.
+ * All sources keep the person ID in Column A and the full name in Column B.
+ * @return {{byName: Map<string, Object>, byId: Map<string, Object>, directoryIds: Set<string>}}
+ *   byName: name key -> {name, ids: Map<id, Map<source, rowCount>>}
+ *   byId: ID -> {names: Map<name key, {name, sources: Map<source, rowCount>}>}
+ */
+function collectIdObservations() {
+  const byName = new Map();
+  const byId = new Map();
+  const directoryIds = new Set();
+
+  const countSource = (sources, source) => sources.set(source, (sources.get(source) || 0) + 1);
+
+  const addObservation = (idCell, nameCell, source) => {
+    const id = String(idCell === null || idCell === undefined ? "" : idCell).trim();
+    const name = String(nameCell || "").trim();
+    const nameKey = personNameKey(name);
+    if (!id || !nameKey) return;
+
+    if (!byName.has(nameKey)) byName.set(nameKey, { name: name, ids: new Map() });
+    const nameEntry = byName.get(nameKey);
+    if (!nameEntry.ids.has(id)) nameEntry.ids.set(id, new Map());
+    countSource(nameEntry.ids.get(id), source);
+
+    if (!byId.has(id)) byId.set(id, { names: new Map() });
+    const idEntry = byId.get(id);
+    if (!idEntry.names.has(nameKey)) idEntry.names.set(nameKey, { name: name, sources: new Map() });
+    countSource(idEntry.names.get(nameKey).sources, source);
+  };
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const directorySs = openDirectorySpreadsheetForMerge();
+  // [spreadsheet, sheet name, first data row (1-based), is Directory]
+  const sources = [
+    [directorySs, "Directory", 2, true],
+    [directorySs, "New Member Form", 2, false],
+    [ss, "Sunday Service", 2, false],
+    [ss, "Service Attendance", 2, false],
+    [ss, "Event Attendance", 2, false],
+    [ss, "Sunday Registration", 6, false]
+  ];
+  const stagingTabName = getDirectoryStagingTabName();
+  if (sources.every(source => source[1] !== stagingTabName)) sources.splice(2, 0, [directorySs, stagingTabName, 2, false]);
+  sources.forEach(([spreadsheet, sheetName, firstDataRow, isDirectory]) => {
+    if (!spreadsheet) return;
+    const data = getSheetData(spreadsheet, sheetName);
+    for (let i = firstDataRow - 1; i < data.length; i++) {
+      const row = data[i];
+      if (!row || row.length < 2) continue;
+      addObservation(row[0], row[1], sheetName);
+      if (isDirectory && String(row[0]).trim()) directoryIds.add(String(row[0]).trim());
+    }
+  });
+
+  Logger.log(`collectIdObservations: ${byName.size} distinct names and ${byId.size} distinct IDs found.`);
+  return { byName, byId, directoryIds };
+}
+
+/**
+ * Builds the conflict rows for the "ID Conflicts" sheet.
+ * For a name with several IDs the Directory ID is kept, then the most-used ID, then the lowest ID.
+ * For an ID with several names the Directory name (or the most-used name) keeps the ID and
+ * every other name is suggested for a split onto a new ID.
+ * @param {{byName: Map<string, Object>, byId: Map<string, Object>, directoryIds: Set<string>}} observations Output of collectIdObservations().
+ * @return {Array<Array<any>>} Rows matching ID_CONFLICTS_HEADERS (fix rows have Apply Fix false and Status "Open"; keeper rows leave both blank).
+ */
+function buildIdConflictRows(observations) {
+  const rows = [];
+  const totalRows = sources => Array.from(sources.values()).reduce((sum, count) => sum + count, 0);
+  const describeSources = sources => Array.from(sources.entries()).map(([source, count]) => `${source} (${count})`).join(", ");
+  const compareIds = (a, b) => {
+    const numA = Number(a);
+    const numB = Number(b);
+    if (!isNaN(numA) && !isNaN(numB)) return numA - numB;
+    return String(a).localeCompare(String(b));
+  };
+
+  observations.byName.forEach(entry => {
+    if (entry.ids.size < 2) return;
+    const ids = Array.from(entry.ids.keys()).sort((a, b) => {
+      const inDirectoryA = observations.directoryIds.has(a);
+      const inDirectoryB = observations.directoryIds.has(b);
+      if (inDirectoryA !== inDirectoryB) return inDirectoryA ? -1 : 1;
+      const usageDiff = totalRows(entry.ids.get(b)) - totalRows(entry.ids.get(a));
+      return usageDiff !== 0 ? usageDiff : compareIds(a, b);
+    });
+    const keepId = ids[0];
+    ids.forEach(id => {
+      const isKeeper = id === keepId;
+      rows.push([
+        ID_CONFLICT_NAME_HAS_MULTIPLE_IDS,
+        entry.name,
+        id,
+        describeSources(entry.ids.get(id)),
+        isKeeper ? "Keep this ID" : `Merge ID ${id} into ${keepId}`,
+        keepId,
+        isKeeper ? "" : false,
+        isKeeper ? "" : "Open"
+      ]);
+    });
+  });
+
+  observations.byId.forEach((entry, id) => {
+    if (entry.names.size < 2) return;
+    const names = Array.from(entry.names.values()).sort((a, b) => {
+      const inDirectoryA = a.sources.has("Directory");
+      const inDirectoryB = b.sources.has("Directory");
+      if (inDirectoryA !== inDirectoryB) return inDirectoryA ? -1 : 1;
+      return totalRows(b.sources) - totalRows(a.sources);
+    });
+    const keeper = names[0];
+    names.forEach(nameEntry => {
+      const isKeeper = nameEntry === keeper;
+      rows.push([
+        ID_CONFLICT_ID_HAS_MULTIPLE_NAMES,
+        nameEntry.name,
+        id,
+        describeSources(nameEntry.sources),
+        isKeeper ? "Keep this ID" : `Split "${nameEntry.name}" onto a new ID (ID ${id} stays with "${keeper.name}")`,
+        isKeeper ? id : "",
+        isKeeper ? "" : false,
+        isKeeper ? "" : "Open"
+      ]);
+    });
+  });
+
+  return rows;
+}
+
+/**
+ * Menu handler: rebuilds the "ID Conflicts" sheet from scratch.
+ */
+function buildIdConflictsReport() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sheet = getOrCreateSheet(ss, ID_CONFLICTS_SHEET_NAME, ID_CONFLICTS_HEADERS);
+  const rows = buildIdConflictRows(collectIdObservations());
+
+  if (sheet.getLastRow() >= 2) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, ID_CONFLICTS_HEADERS.length).clearContent().clearDataValidations();
+  }
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, ID_CONFLICTS_HEADERS.length).setValues(rows);
+    rows.forEach((row, index) => {
+      if (row[ID_CONFLICT_STATUS_COL - 1] === "Open") sheet.getRange(index + 2, ID_CONFLICT_APPLY_COL).insertCheckboxes();
+    });
+  }
+
+  const fixCount = rows.filter(row => row[ID_CONFLICT_STATUS_COL - 1] === "Open").length;
+  Logger.log(`✅ ID conflicts report rebuilt: ${rows.length} rows, ${fixCount} suggested fixes.`);
+
+  try {
+    SpreadsheetApp.getUi().alert(
+      'ID Conflicts Report Built',
+      `${fixCount} suggested fix(es) written to '${ID_CONFLICTS_SHEET_NAME}'.\n` +
+      'Tick "Apply Fix" on the rows you agree with, adjust "Keep ID" if needed, then run "Apply Checked Conflict Fixes".',
+      SpreadsheetApp.getUi().ButtonSet.OK
+    );
+  } catch (err) {
+    // No UI when run from a trigger.
+  }
+}
+
+/**
+ * Menu handler: applies every ticked, open fix on the "ID Conflicts" sheet.
+ * Merge rows fold the row's ID into its Keep ID; split rows move the row's name onto a new ID.
+ * Each fix is logged on the "Merge Log" and can be undone from there.
+ */
+function applyCheckedIdConflictFixes() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(ID_CONFLICTS_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) {
+    ui.alert('Nothing to Apply', `No conflicts found on '${ID_CONFLICTS_SHEET_NAME}'. Build the report first.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, ID_CONFLICTS_HEADERS.length).getValues();
+  const checked = rows
+    .map((row, index) => ({ row, sheetRow: index + 2 }))
+    .filter(({ row }) => row[ID_CONFLICT_APPLY_COL - 1] === true && row[ID_CONFLICT_STATUS_COL - 1] === "Open");
+  if (checked.length === 0) {
+    ui.alert('Nothing to Apply', 'Tick "Apply Fix" on at least one open row first.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const confirm = ui.alert('Apply Conflict Fixes', `Apply ${checked.length} checked fix(es)? Each one can be undone from the '${MERGE_LOG_SHEET_NAME}' sheet.`, ui.ButtonSet.YES_NO);
+  if (confirm !== ui.Button.YES) return;
+
+  let appliedCount = 0;
+  const failures = [];
+  checked.forEach(({ row, sheetRow }) => {
+    const conflictType = row[0];
+    const name = String(row[1]).trim();
+    const personId = String(row[2]).trim();
+    const keepId = String(row[5]).trim();
+    try {
+      let status;
+      if (conflictType === ID_CONFLICT_NAME_HAS_MULTIPLE_IDS) {
+        const result = mergePersonIds(keepId, personId, `ID conflict: "${name}" had IDs ${personId} and ${keepId}`);
+        status = `Merged (${result.mergeId})`;
+      } else if (conflictType === ID_CONFLICT_ID_HAS_MULTIPLE_NAMES) {
+        const result = splitPersonIdForName(personId, name, `ID conflict: ID ${personId} was shared by more than one name`);
+        status = `Split to ID ${result.newId} (${result.mergeId})`;
+      } else {
+        throw new Error(`Unknown conflict type "${conflictType}".`);
+      }
+      sheet.getRange(sheetRow, ID_CONFLICT_STATUS_COL).setValue(status);
+      appliedCount++;
+    } catch (error) {
+      Logger.log(`❌ Error applying ID conflict fix on row ${sheetRow}: ${error.message}`);
+      sheet.getRange(sheetRow, ID_CONFLICT_STATUS_COL).setValue(`Failed: ${error.message}`);
+      failures.push(`Row ${sheetRow}: ${error.message}`);
+    }
+  });
+
+  ui.alert(
+    'Conflict Fixes Applied',
+    `${appliedCount} fix(es) applied. Rebuild the report to see what is left.` +
+    (failures.length > 0 ? `\n\nFailed:\n${failures.join("\n")}` : ""),
+    ui.ButtonSet.OK
+  );
+}
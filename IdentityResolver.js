@@ -0,0 +1,172 @@
+/**
+ * Identity Resolution
+ * Decides which person ID an attendance record belongs to by trying, in order:
+ * the Directory ID on the record, the email, the normalized phone number, then the full name.
+ * Emails and phones shared by more than one person (e.g. a family email) are ignored.
+ * When the name matches one person but the email or phone clearly belongs to another,
+ * the name match is kept and the pair is flagged on the "Possible Duplicates" sheet.
+ * Flagged pairs are held on the index and written in one batch by flushIdentityConflicts().
+ */
+
+/**
+ * Creates an identity index. Feed it every known record with addRecord(), then call resolve().
+ * @param {Map<string, string|number>} nameIdMap Existing name -> ID map (keyed by personNameKey) used for the name step.
+ * @param {Object} [aliases] Output of loadPersonAliases(); resolved IDs are mapped to their surviving ID.
+ * @return {{addRecord: function(Object, boolean), resolve: function(Object): Object, nameForId: function(string): string,
+ *   queueConflict: function(Object), takeConflicts: function(): Array<Object>}}
+ */
+function createIdentityIndex(nameIdMap, aliases) {
+  const directoryIds = new Set();
+  const emailOwners = new Map(); // normalized email -> Set of IDs
+  const phoneOwners = new Map(); // normalized phone -> Set of IDs
+  const namesById = new Map();
+  const pendingConflicts = new Map(); // Pair Key -> Possible Duplicates candidate
+
+  const toSurvivor = id => aliases ? aliases.resolveId(id) : String(id).trim();
+
+  const addOwner = (owners, key, id) => {
+    if (!key) return;
+    if (!owners.has(key)) owners.set(key, new Set());
+    owners.get(key).add(id);
+  };
+
+  const soleOwner = (owners, key) => {
+    if (!key || !owners.has(key)) return null;
+    const ids = owners.get(key);
+    return ids.size === 1 ? ids.values().next().value : null;
+  };
+
+  return {
+    /**
+     * Adds a known person record to the index.
+     * @param {{id: any, fullName: any, email: any, phone: any}} record The record.
+     * @param {boolean} isDirectory True if the record comes from the external Directory.
+     */
+    addRecord: (record, isDirectory) => {
+      if (record.id === null || record.id === undefined || String(record.id).trim() === "") return;
+      const id = toSurvivor(record.id);
+      if (isDirectory) directoryIds.add(id);
+      addOwner(emailOwners, normalizeEmail(record.email), id);
+      addOwner(phoneOwners, normalizePhone(record.phone), id);
+      const name = String(record.fullName || "").trim();
+      if (name && (isDirectory || !namesById.has(id))) namesById.set(id, name);
+    },
+
+    /**
+     * Resolves a record to a person ID.
+     * @param {{id: any, fullName: any, email: any, phone: any}} record The record to resolve.
+     * @return {{id: (string|null), matchedBy: (string|null), conflict: (Object|null)}}
+     *   conflict is set when the name and the contact details point at different people.
+     */
+    resolve: (record) => {
+      const recordId = record.id === null || record.id === undefined ? "" : toSurvivor(record.id);
+      if (recordId && directoryIds.has(recordId)) {
+        return { id: recordId, matchedBy: "directory id", conflict: null };
+      }
+
+      const nameKey = personNameKey(record.fullName);
+      const nameId = nameKey && nameIdMap.has(nameKey) ? toSurvivor(nameIdMap.get(nameKey)) : null;
+
+      const email = normalizeEmail(record.email);
+      const phone = normalizePhone(record.phone);
+      const emailId = soleOwner(emailOwners, email);
+      const phoneId = emailId ? null : soleOwner(phoneOwners, phone);
+      const contactId = emailId || phoneId;
+      const contactBy = emailId ? "email" : "phone";
+
+      if (contactId) {
+        if (nameId && nameId !== contactId) {
+          return {
+            id: nameId,
+            matchedBy: "name",
+            conflict: {
+              nameId: nameId,
+              contactId: contactId,
+              contactBy: contactBy,
+              contactValue: emailId ? email : phone
+            }
+          };
+        }
+        return { id: contactId, matchedBy: contactBy, conflict: null };
+      }
+
+      if (nameId) return { id: nameId, matchedBy: "name", conflict: null };
+      return { id: null, matchedBy: null, conflict: null };
+    },
+
+    /**
+     * @param {string} id A person ID.
+     * @return {string} The name recorded for the ID, or "".
+     */
+    nameForId: id => namesById.get(String(id).trim()) || "",
+
+    /**
+     * Holds a Possible Duplicates candidate until flushIdentityConflicts(). The first one per pair is kept.
+     * @param {{idA: string, nameA: string, idB: string, nameB: string, score: number, reasons: Array<string>}} candidate
+     */
+    queueConflict: candidate => {
+      const pairKey = duplicatePairKey(candidate.idA, candidate.idB);
+      if (!pendingConflicts.has(pairKey)) pendingConflicts.set(pairKey, candidate);
+    },
+
+    /**
+     * @return {Array<Object>} The queued candidates; the queue is emptied.
+     */
+    takeConflicts: () => {
+      const candidates = Array.from(pendingConflicts.values());
+      pendingConflicts.clear();
+      return candidates;
+    }
+  };
+}
+
+/**
+ * Queues an identity conflict from createIdentityIndex().resolve() for the "Possible Duplicates" sheet.
+ * Nothing is written until flushIdentityConflicts(index) is called.
+ * @param {Object} index The identity index that produced the conflict.
+ * @param {Object} conflict The conflict object.
+ * @param {string} submittedName The name on the record being resolved.
+ */
+function flagIdentityConflict(index, conflict, submittedName) {
+  const nameA = index.nameForId(conflict.nameId) || String(submittedName || "").trim();
+  const nameB = index.nameForId(conflict.contactId);
+  const scored = scorePersonMatch({ fullName: nameA }, { fullName: nameB });
+  const reason = `"${String(submittedName || "").trim()}" matches ID ${conflict.nameId} by name, but ${conflict.contactBy} ${conflict.contactValue} belongs to ID ${conflict.contactId}`;
+  index.queueConflict({
+    idA: conflict.nameId,
+    nameA: nameA,
+    idB: conflict.contactId,
+    nameB: nameB,
+    score: scored.score,
+    reasons: [reason].concat(scored.reasons)
+  });
+}
+
+/**
+ * Writes the conflicts queued on an identity index to the "Possible Duplicates" sheet in one batch.
+ * Call once after resolving every record.
+ * @param {Object} index The identity index.
+ * @return {number} The number of new pairs added.
+ */
+function flushIdentityConflicts(index) {
+  const candidates = index.takeConflicts();
+  if (candidates.length === 0) return 0;
+  const added = queuePossibleDuplicates(candidates);
+  if (added > 0) Logger.log(`⚠️ ${added} identity conflict(s) flagged for review on '${POSSIBLE_DUPLICATES_SHEET_NAME}'.`);
+  return added;
+}
+
+/**
+ * Returns the index of the first header (case-insensitive) that matches one of the candidates.
+ * @param {Array<any>} headerRow The header row values.
+ * @param {Array<string>} candidates Lower-case header names to look for.
+ * @return {number} The 0-based column index, or -1 if none match.
+ */
+function findHeaderIndex(headerRow, candidates) {
+  const headers = (headerRow || []).map(h => String(h || "").trim().toLowerCase());
+  for (const candidate of candidates) {
+    const index = headers.indexOf(candidate);
+    if (index !== -1) return index;
+  }
+  return -1;
+}
@@ -0,0 +1,252 @@
+/**
+ * Incremental Stats
+ * Keeps the matched attendance records (the output of matchOrAssignBelCodes) on a hidden "Stats Cache"
+ * sheet, with a watermark of how many rows of "Event Attendance" and "Service Attendance" are already in it.
+ * The change trigger then only matches the rows added since the last run and folds them into the cache,
+ * instead of re-reading the Directory and re-matching every row.
+ *
+ * Month, quarter and rolling-window counts move with the calendar, so the cache holds each person's
+ * records rather than totals and the counting itself is redone from the cache; ID matching is the step skipped.
+ * New rows are resolved like matchOrAssignBelCodes does (Directory ID, email, phone, then name, through an
+ * identity index built from the Directory, the cached records and the ID ledger). Rows whose person cannot be
+ * found that way need a new ID and fall back to a full rebuild, as do deleted rows and a missing or edited cache.
+ * Reading the watermark, appending to the cache and saving the watermark happen under the script lock, so two
+ * triggers cannot fold the same rows twice. Edits to existing attendance rows are not detected:
+ * run "Rebuild Attendance Stats (Full)" from the Reports menu after correcting old rows.
+ */
+
+const STATS_CACHE_SHEET_NAME = "Stats Cache";
+const STATS_CACHE_HEADERS = ["ID", "Full Name", "Event Name", "Event ID", "First Name", "Last Name", "Email", "Phone", "Form Sheet", "Role", "Timestamp"];
+const STATS_WATERMARK_PROPERTY = 'STATS_WATERMARK';
+const STATS_SOURCE_SHEETS = [["event", "Event Attendance"], ["service", "Service Attendance"]]; // Same order as matchOrAssignBelCodes
+
+/**
+ * Returns the matched attendance records, folding only new attendance rows into the cache.
+ * Falls back to rebuildStatsCache() whenever the cache cannot be trusted.
+ * Must not be called while holding the script lock: the fold takes it, and a rebuild allocates IDs under it.
+ * @return {Array<Array<any>>} Records in the matchOrAssignBelCodes format.
+ */
+function getIncrementalAttendanceRecords() {
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(ID_ALLOCATION_LOCK_TIMEOUT_MS)) {
+    throw new Error(`getIncrementalAttendanceRecords: Could not acquire the script lock within ${ID_ALLOCATION_LOCK_TIMEOUT_MS / 1000} seconds.`);
+  }
+  let records;
+  try {
+    records = foldNewAttendanceRows();
+  } finally {
+    lock.releaseLock();
+  }
+  // The rebuild runs outside the lock: matchOrAssignBelCodes takes it to allocate new IDs
+  return records !== null ? records : rebuildStatsCache();
+}
+
+/**
+ * Folds the attendance rows added since the watermark into the cache. Call with the script lock held.
+ * @return {Array<Array<any>>|null} The records, or null if a full rebuild is needed.
+ */
+function foldNewAttendanceRows() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const watermark = loadStatsWatermark();
+  const cacheSheet = ss.getSheetByName(STATS_CACHE_SHEET_NAME);
+  if (!watermark || !cacheSheet) {
+    Logger.log("ℹ️ No stats cache yet. Running a full rebuild.");
+    return null;
+  }
+  if (cacheSheet.getLastRow() - 1 !== watermark.cachedRows) {
+    Logger.log(`⚠️ '${STATS_CACHE_SHEET_NAME}' has ${Math.max(cacheSheet.getLastRow() - 1, 0)} rows but ${watermark.cachedRows} were written. Running a full rebuild.`);
+    return null;
+  }
+
+  // Rows added to each source sheet since the last run
+  const newRows = [];
+  const newEventRows = new Set(); // Rows from "Event Attendance"; the rest use the Service Attendance layout
+  const lastRows = {};
+  for (const [key, sheetName] of STATS_SOURCE_SHEETS) {
+    const sheet = ss.getSheetByName(sheetName);
+    if (!sheet) {
+      Logger.log(`❌ '${sheetName}' not found. Cannot update stats incrementally.`);
+      return [];
+    }
+    lastRows[key] = sheet.getLastRow();
+    const processed = watermark[key] || 1;
+    if (lastRows[key] < processed) {
+      Logger.log(`⚠️ '${sheetName}' shrank from ${processed} to ${lastRows[key]} rows. Running a full rebuild.`);
+      return null;
+    }
+    if (lastRows[key] > processed) {
+      const rows = sheet.getRange(processed + 1, 1, lastRows[key] - processed, sheet.getLastColumn()).getValues();
+      newRows.push(...rows);
+      if (key === "event") rows.forEach(row => newEventRows.add(row));
+    }
+  }
+
+  const aliases = loadPersonAliases();
+  const resolveNumericId = id => extractNumericBel(aliases.resolveId(id));
+  const cachedRows = watermark.cachedRows > 0
+    ? cacheSheet.getRange(2, 1, watermark.cachedRows, STATS_CACHE_HEADERS.length).getValues()
+    : [];
+  // Merges since the rows were cached resolve to the surviving ID
+  cachedRows.forEach(row => { row[0] = resolveNumericId(row[0]) || row[0]; });
+  if (newRows.length === 0) {
+    Logger.log(`ℹ️ No new attendance rows. Using ${cachedRows.length} cached records.`);
+    return cachedRows;
+  }
+
+  const dData = loadDirectoryValues(PropertiesService.getScriptProperties().getProperty('DIRECTORY_SPREADSHEET_ID'));
+  if (!dData) {
+    Logger.log("⚠️ Directory could not be read for incremental matching. Running a full rebuild.");
+    return null;
+  }
+
+  // Same precedence as matchOrAssignBelCodes: Directory, attendance IDs, then the ID ledger
+  const nameIdMap = new Map();
+  const identityIndex = createIdentityIndex(nameIdMap, aliases);
+  const isEventAttendanceRow = row => newEventRows.has(row);
+  addDirectoryRowsToIdentityIndex(dData, nameIdMap, identityIndex);
+  cachedRows.forEach(row => {
+    const key = personNameKey(row[1]);
+    if (key && !nameIdMap.has(key)) nameIdMap.set(key, row[0]);
+    identityIndex.addRecord({ id: row[0], fullName: row[1], email: row[6], phone: row[7] }, false);
+  });
+  newRows.forEach(row => {
+    const numericId = extractNumericBel(row[0]);
+    if (numericId === null) return;
+    const key = personNameKey(row[1]);
+    if (key && !nameIdMap.has(key)) nameIdMap.set(key, numericId);
+    identityIndex.addRecord({ id: numericId, fullName: row[1], email: row[6], phone: isEventAttendanceRow(row) ? row[7] : "" }, false);
+  });
+  loadAllocatedPersonIdsByName().forEach((allocation, key) => {
+    if (!nameIdMap.has(key)) {
+      nameIdMap.set(key, allocation.id);
+      identityIndex.addRecord({ id: allocation.id, fullName: allocation.fullName }, false);
+    }
+  });
+  applyPersonAliasesToNameMap(nameIdMap, aliases, true);
+
+  const added = [];
+  for (const row of newRows) {
+    const nameKey = personNameKey(row[1]);
+    if (!nameKey) continue; // Blank rows are skipped by matchOrAssignBelCodes too
+    const identity = identityIndex.resolve({
+      id: row[0],
+      fullName: row[1],
+      email: row[6],
+      phone: isEventAttendanceRow(row) ? row[7] : ""
+    });
+    const personId = identity.id !== null ? extractNumericBel(identity.id) : null;
+    if (personId === null) {
+      Logger.log(`ℹ️ New attendance row for "${row[1]}" needs a new ID. Running a full rebuild.`);
+      return null;
+    }
+    if (identity.conflict) flagIdentityConflict(identityIndex, identity.conflict, row[1]);
+    const record = formatMatchedAttendanceRow(row, personId, isEventAttendanceRow(row) ? "event" : "service");
+    if (!record) continue;
+    if (!nameIdMap.has(nameKey)) nameIdMap.set(nameKey, personId);
+    added.push(record);
+  }
+  flushIdentityConflicts(identityIndex);
+
+  if (added.length > 0) {
+    cacheSheet.getRange(watermark.cachedRows + 2, 1, added.length, STATS_CACHE_HEADERS.length).setValues(added);
+  }
+  saveStatsWatermark(lastRows.event, lastRows.service, watermark.cachedRows + added.length);
+  SpreadsheetApp.flush();
+  Logger.log(`✅ Folded ${added.length} new attendance record(s) into '${STATS_CACHE_SHEET_NAME}' (${watermark.cachedRows + added.length} total).`);
+  return cachedRows.concat(added);
+}
+
+/**
+ * Reads the records already on the cache sheet, without matching new rows or rebuilding.
+ * For callers that cannot afford a rebuild, such as form-submit triggers; rows added since the
+ * last stats update are not included.
+ * @return {Array<Array<any>>|null} Cached records in the matchOrAssignBelCodes format, or null if there is no usable cache.
+ */
+function getCachedAttendanceRecords() {
+  const watermark = loadStatsWatermark();
+  const cacheSheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(STATS_CACHE_SHEET_NAME);
+  if (!watermark || !cacheSheet || cacheSheet.getLastRow() - 1 !== watermark.cachedRows) return null;
+  return watermark.cachedRows > 0
+    ? cacheSheet.getRange(2, 1, watermark.cachedRows, STATS_CACHE_HEADERS.length).getValues()
+    : [];
+}
+
+/**
+ * Re-matches every attendance row with matchOrAssignBelCodes and rewrites the cache and watermark.
+ * Matching runs outside the script lock (it allocates new IDs under it); the rewrite runs inside it.
+ * @return {Array<Array<any>>} Records in the matchOrAssignBelCodes format.
+ */
+function rebuildStatsCache() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  // Row counts are read first: rows added while matching are picked up by the next run
+  const lastRows = {};
+  STATS_SOURCE_SHEETS.forEach(([key, sheetName]) => {
+    const sheet = ss.getSheetByName(sheetName);
+    lastRows[key] = sheet ? sheet.getLastRow() : 1;
+  });
+
+  const records = matchOrAssignBelCodes();
+  if (!records || records.length === 0) return [];
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(ID_ALLOCATION_LOCK_TIMEOUT_MS)) {
+    throw new Error(`rebuildStatsCache: Could not acquire the script lock within ${ID_ALLOCATION_LOCK_TIMEOUT_MS / 1000} seconds.`);
+  }
+  try {
+    const cacheSheet = getOrCreateSheet(ss, STATS_CACHE_SHEET_NAME, STATS_CACHE_HEADERS);
+    if (cacheSheet.getLastRow() >= 2) {
+      cacheSheet.getRange(2, 1, cacheSheet.getLastRow() - 1, cacheSheet.getLastColumn()).clearContent();
+    }
+    cacheSheet.getRange(2, 1, records.length, STATS_CACHE_HEADERS.length).setValues(records);
+    if (!cacheSheet.isSheetHidden()) cacheSheet.hideSheet();
+
+    saveStatsWatermark(lastRows.event, lastRows.service, records.length);
+    SpreadsheetApp.flush();
+  } finally {
+    lock.releaseLock();
+  }
+  Logger.log(`✅ '${STATS_CACHE_SHEET_NAME}' rebuilt with ${records.length} records.`);
+  return records;
+}
+
+/**
+ * Forgets the watermark so the next stats update does a full rebuild.
+ * Called after person IDs are rewritten in place (merges, splits), which the watermark cannot see.
+ */
+function invalidateStatsCache() {
+  PropertiesService.getScriptProperties().deleteProperty(STATS_WATERMARK_PROPERTY);
+  Logger.log("ℹ️ Stats cache invalidated. The next stats update will be a full rebuild.");
+}
+
+/**
+ * @return {{event: number, service: number, cachedRows: number}|null} The saved watermark (last processed
+ *   sheet row of each source, number of cached records), or null if there is none.
+ */
+function loadStatsWatermark() {
+  const saved = PropertiesService.getScriptProperties().getProperty(STATS_WATERMARK_PROPERTY);
+  if (!saved) return null;
+  try {
+    return JSON.parse(saved);
+  } catch (err) {
+    Logger.log(`⚠️ Ignoring unreadable ${STATS_WATERMARK_PROPERTY}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * @param {number} eventRows Last processed row of "Event Attendance".
+ * @param {number} serviceRows Last processed row of "Service Attendance".
+ * @param {number} cachedRows Number of records on the cache sheet.
+ */
+function saveStatsWatermark(eventRows, serviceRows, cachedRows) {
+  PropertiesService.getScriptProperties().setProperty(STATS_WATERMARK_PROPERTY,
+    JSON.stringify({ event: eventRows, service: serviceRows, cachedRows: cachedRows, updatedAt: new Date().toISOString() }));
+}
+
+/**
+ * Reports menu handler: recomputes "Attendance Stats" from scratch, re-matching every attendance row.
+ */
+function rebuildAttendanceStatsFull() {
+  updateAttendanceStatsSheet({ incremental: false });
+  SpreadsheetApp.getUi().alert('✅ Attendance Stats rebuilt from all attendance rows.');
+}
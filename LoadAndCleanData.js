@@ -102,6 +102,19 @@ function getDataFromSheets() {
   }
   
   // --- Load Directory from external spreadsheet by ID ---
+  const dData = loadDirectoryValues(directoryId);
+  if (!dData) return;
+  
+  Logger.log("✅ All required sheets loaded successfully.");
+  return { sData, eData, dData, statsData };
+}
+
+/**
+ * Reads every row of the "Directory" sheet in the external Directory spreadsheet.
+ * @param {string} directoryId The Directory spreadsheet ID (Script Property DIRECTORY_SPREADSHEET_ID).
+ * @returns {Array<Array<any>>|undefined} The values, header row first, or undefined on failure.
+ */
+function loadDirectoryValues(directoryId) {
   let directorySS;
   try {
     directorySS = SpreadsheetApp.openById(directoryId);
@@ -117,15 +130,12 @@ function getDataFromSheets() {
     return;
   }
   
-  let dData;
   try {
-    dData = directorySheet.getDataRange().getValues();
+    const dData = directorySheet.getDataRange().getValues();
     Logger.log("✅ Directory sheet loaded.");
+    return dData;
   } catch (err) {
     Logger.log("❌ Error reading Directory sheet: " + err.message);
     return;
   }
-  
-  Logger.log("✅ All required sheets loaded successfully.");
-  return { sData, eData, dData, statsData };
 }
@@ -0,0 +1,60 @@
+/**
+ * Mail Adapter
+ * Everything that sends email goes through a mail adapter instead of calling MailApp directly,
+ * so the same code can send real mail in production and record it in tests or dry runs.
+ *
+ * A mail adapter is any object with:
+ *   send(message)     - sends one {to, subject, body, htmlBody?, replyTo?, name?} message;
+ *   remainingQuota()  - how many more emails can be sent today.
+ */
+
+/**
+ * @typedef {Object} MailMessage
+ * @property {string} to Recipient address (comma-separated for several).
+ * @property {string} subject Subject line.
+ * @property {string} body Plain-text body.
+ * @property {string} [htmlBody] HTML body, shown instead of body by mail clients that support it.
+ * @property {string} [replyTo] Reply-To address.
+ * @property {string} [name] Sender display name.
+ */
+
+/**
+ * Mail adapter that sends through MailApp, as the user the script runs as.
+ * @return {{send: function(MailMessage): void, remainingQuota: function(): number}}
+ */
+function createMailAppAdapter() {
+  return {
+    send: message => {
+      const options = { to: message.to, subject: message.subject, body: message.body };
+      if (message.htmlBody) options.htmlBody = message.htmlBody;
+      if (message.replyTo) options.replyTo = message.replyTo;
+      if (message.name) options.name = message.name;
+      MailApp.sendEmail(options);
+    },
+    remainingQuota: () => MailApp.getRemainingDailyQuota()
+  };
+}
+
+/**
+ * Mail adapter that sends nothing and keeps every message in sent, for tests and previews.
+ * @param {number} [quota] Emails it will accept before reporting no quota left. Unlimited when omitted.
+ * @return {{send: function(MailMessage): void, remainingQuota: function(): number, sent: Array<MailMessage>}}
+ */
+function createRecordingMailAdapter(quota) {
+  const sent = [];
+  return {
+    sent: sent,
+    send: message => { sent.push(Object.assign({}, message)); },
+    remainingQuota: () => (typeof quota === 'number' ? Math.max(quota - sent.length, 0) : Infinity)
+  };
+}
+
+/**
+ * Returns the adapter to use: the one passed in, or MailApp. Trigger and menu runs pass an event object
+ * or nothing, so anything without a send function means "use MailApp".
+ * @param {any} mailAdapter A mail adapter, or anything else.
+ * @return {{send: function(MailMessage): void, remainingQuota: function(): number}}
+ */
+function resolveMailAdapter(mailAdapter) {
+  return mailAdapter && typeof mailAdapter.send === 'function' ? mailAdapter : createMailAppAdapter();
+}
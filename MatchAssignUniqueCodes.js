@@ -43,9 +43,10 @@ function extractNumericBel(codeValue) {
  *
  * This function first collects all existing PURELY NUMERIC IDs from the Directory,
  * Event Attendance (Column A), and Service Attendance (Column A) sheets using the modified extractNumericBel.
- * It builds a comprehensive name-to-NUMERIC_ID mapping (belMap). It then finds
- * the highest number among these numeric codes and generates new unique NUMERIC IDs
- * sequentially from the next number when a person doesn't have an existing valid numeric code.
+ * It builds a comprehensive name-to-NUMERIC_ID mapping (belMap) and an identity index so each
+ * row is matched by its Directory ID, then email, then phone, then name. It then finds
+ * the highest number among these numeric codes and requests new NUMERIC IDs from
+ * allocatePersonIds, in one batch, for the people who don't have an existing valid numeric code.
  *
  * Assumes data object from getDataFromSheets contains:
  * - sData: Array of rows from Service Attendance
@@ -70,37 +71,16 @@ function matchOrAssignBelCodes() { // Consider renaming to matchOrAssignNumericI
 
   const belMap = new Map(); // Map to store normalized name -> NUMERIC ID mappings
   const allUsedCodes = new Set(); // Set to keep track of all existing NUMERIC IDs found
-  const normalize = name => name?.toString().trim().toLowerCase();
+  const normalize = name => personNameKey(name); // Case, accent and spacing insensitive (DuplicateDetection.js)
 
-  // --- Step 1: Populate belMap and allUsedCodes (with NUMBERS) from the Directory sheet ---
-  if (dData && dData.length > 1) {
-    dData.slice(1).forEach((row, index) => {
-      if (row.length > 2) {
-        const originalBel = row[1]; // Original ID from Column B
-        const name = normalize(row[2]); // Name from Column C
-        const numericBel = extractNumericBel(originalBel); // Uses the MODIFIED function
+  // Identity index: resolves Directory ID -> email -> phone -> name (see IdentityResolver.js)
+  const aliases = loadPersonAliases();
+  const identityIndex = createIdentityIndex(belMap, aliases);
+  const eventRows = new Set(eData && eData.length > 1 ? eData.slice(1) : []);
+  const isEventAttendanceRow = row => eventRows.has(row); // By source sheet, not by row width
 
-        if (name) { // Name is mandatory
-          if (numericBel !== null) { // A valid PURELY NUMERIC ID was extracted
-            if (!belMap.has(name)) {
-              belMap.set(name, numericBel);
-            }
-            allUsedCodes.add(numericBel);
-          } else if (originalBel && originalBel.toString().trim() !== '') {
-            // Log if there was some value in the ID column that wasn't a valid number
-            Logger.log(`ℹ️ Directory: Row ${index + 2}: Value "${originalBel}" in ID column is not a plain number and will be ignored. A new numeric ID may be generated for "${name}" if needed.`);
-          }
-        } else {
-          Logger.log(`⚠️ Directory: Row ${index + 2}: Skipping row due to missing Name. Row data: ${JSON.stringify(row)}`);
-        }
-      } else {
-        Logger.log(`⚠️ Directory: Row ${index + 2}: Skipping row due to insufficient columns (${row.length} found). Expected at least 3. Row data (partial): ${JSON.stringify(row.slice(0,3))}`);
-      }
-    });
-    Logger.log(`✅ Populated numeric ID map and used codes from Directory (${dData.length > 1 ? dData.length - 1 : 0} data rows processed).`);
-  } else {
-    Logger.log("⚠️ matchOrAssignBelCodes: Directory data (dData) is empty or missing headers.");
-  }
+  // --- Step 1: Populate belMap and allUsedCodes (with NUMBERS) from the Directory sheet ---
+  addDirectoryRowsToIdentityIndex(dData, belMap, identityIndex, allUsedCodes);
 
   // --- Step 2: Add existing NUMERIC IDs from Attendance sheets and update belMap ---
   const attendanceDataRaw = [];
@@ -118,6 +98,12 @@ function matchOrAssignBelCodes() { // Consider renaming to matchOrAssignNumericI
         if (name && !belMap.has(name)) {
           belMap.set(name, numericBelFromRow);
         }
+        identityIndex.addRecord({
+          id: numericBelFromRow,
+          fullName: row[1],
+          email: row[6],
+          phone: isEventAttendanceRow(row) ? row[7] : "" // Service Attendance has no phone column
+        }, false);
       } else if (originalBelFromRow && originalBelFromRow.toString().trim() !== '' && name) {
          Logger.log(`ℹ️ Attendance Sheets (Source Row approx. ${idx + 1}): Value "${originalBelFromRow}" for name "${name}" in ID column is not a plain number and will be ignored. A new ID may be generated.`);
       }
@@ -125,6 +111,18 @@ function matchOrAssignBelCodes() { // Consider renaming to matchOrAssignNumericI
   });
   Logger.log(`✅ Added existing numeric IDs from Attendance sheets to used codes set. Total unique used NUMERIC codes found: ${allUsedCodes.size}. Total NUMERIC ID mappings found: ${belMap.size}`);
 
+  // IDs allocated by earlier runs for people not yet in the Directory or written to an attendance sheet
+  loadAllocatedPersonIdsByName().forEach((allocation, name) => {
+    allUsedCodes.add(allocation.id);
+    if (!belMap.has(name)) {
+      belMap.set(name, allocation.id);
+      identityIndex.addRecord({ id: allocation.id, fullName: allocation.fullName }, false);
+    }
+  });
+
+  // Merged people resolve to their surviving ID (see PersonMerge.js)
+  applyPersonAliasesToNameMap(belMap, aliases, true);
+
   // --- Step 3: Initialize NUMERIC ID Code generator ---
   let highestFoundNum = 0;
   allUsedCodes.forEach(code => { // 'code' here is already a number
@@ -133,29 +131,11 @@ function matchOrAssignBelCodes() { // Consider renaming to matchOrAssignNumericI
     }
   });
 
-  let codeCounter = highestFoundNum + 1;
-  Logger.log(`✅ Initialized NUMERIC ID code counter to: ${codeCounter}. Highest valid number found among existing ID codes was ${highestFoundNum}.`);
-
-  // --- Step 4: Define the function to generate the next unique NUMERIC ID code ---
-  // Consider renaming to generateNumericId
-  const generateBEL = () => {
-    while (true) {
-      const currentNumericCode = codeCounter; // This is the number to try
-      if (!allUsedCodes.has(currentNumericCode)) {
-        allUsedCodes.add(currentNumericCode); // Add the number to the set
-        codeCounter++; // Increment the main counter for the next call
-        return currentNumericCode; // Return the newly generated unique number
-      }
-      codeCounter++;
-      if (codeCounter > highestFoundNum + 20000) { // Safety break
-        Logger.log(`ERROR: ID code counter (${codeCounter}) significantly exceeds highest found number (${highestFoundNum}). Potential issue.`);
-        throw new Error("ID code counter exceeded a safe threshold, potential infinite loop or too many users without pre-existing IDs.");
-      }
-    }
-  };
+  Logger.log(`✅ Highest valid number found among existing ID codes was ${highestFoundNum}. New IDs will be allocated above it.`);
 
-  // --- Step 5: Process Attendance Data and Assign Final NUMERIC IDs ---
-  const results = [];
+  // --- Step 4: Resolve every attendance row; names with no ID wait for Step 5 ---
+  const resolvedRows = []; // [row, numeric ID or null]
+  const newNames = new Map(); // normalized name -> full name as first written, in order of appearance
   attendanceDataRaw.forEach(row => {
     if (row.length < 2) {
       Logger.log(`⚠️ Processing Attendance: Skipping row due to insufficient columns for Name. Row data: ${JSON.stringify(row)}`);
@@ -167,44 +147,47 @@ function matchOrAssignBelCodes() { // Consider renaming to matchOrAssignNumericI
       return;
     }
 
-    let numericBel; // This will hold the purely numeric ID
-    if (belMap.has(name)) {
-      numericBel = belMap.get(name); // This is a number from the map
-    } else {
-      numericBel = generateBEL(); // This is a new number from the generator
-      belMap.set(name, numericBel); // Add the new mapping
-      Logger.log(`✅ Generated new NUMERIC ID ${numericBel} for name "${row[1]}".`);
+    const identity = identityIndex.resolve({
+      id: row[0],
+      fullName: row[1],
+      email: row[6],
+      phone: isEventAttendanceRow(row) ? row[7] : ""
+    });
+    if (identity.conflict) {
+      flagIdentityConflict(identityIndex, identity.conflict, row[1]);
     }
-
-    let formattedRow = Array(11).fill("");
-    formattedRow[0] = numericBel; // Column A: Assigned PURELY NUMERIC ID
-
-    // Map data based on source sheet structure
-    if (row.length >= 11 && typeof row[10] !== 'undefined') { // eData like
-      formattedRow[1] = row[1];  // Full Name
-      formattedRow[2] = row[2];  // Event Name
-      formattedRow[3] = row[3];  // Event ID
-      formattedRow[4] = row[4];  // First Name
-      formattedRow[5] = row[5];  // Last Name
-      formattedRow[6] = row[6];  // Email
-      formattedRow[7] = row[7];  // Phone
-      formattedRow[8] = row[8];  // Form Sheet
-      formattedRow[9] = row[9];  // Role
-      formattedRow[10] = row[10]; // Timestamp
-    } else if (row.length >= 8 && typeof row[4] !== 'undefined') { // sData like
-      formattedRow[1] = row[1];         // Full Name
-      formattedRow[2] = "Sunday Service"; // Event Name
-      formattedRow[3] = "Service";        // Event ID
-      formattedRow[4] = row[2];         // First Name (from sData C)
-      formattedRow[5] = row[3];         // Last Name (from sData D)
-      formattedRow[6] = row[6];         // Email (from sData G)
-      // formattedRow[7] (Phone) and formattedRow[8] (Form Sheet) remain ""
-      formattedRow[9] = "";             // Role
-      formattedRow[10] = row[4];        // Timestamp (from sData E)
+    if (identity.id !== null && extractNumericBel(identity.id) !== null) {
+      const numericBel = extractNumericBel(identity.id); // Matched by Directory ID, email, phone or name
+      if (!belMap.has(name)) belMap.set(name, numericBel);
+      resolvedRows.push([row, numericBel]);
     } else {
-      Logger.log(`⚠️ Processing Attendance: Skipping row for "${name}" (ID: ${numericBel}) with unrecognized structure. Row data: ${JSON.stringify(row)}`);
-      return; // Skip if structure is unexpected
+      if (!newNames.has(name)) newNames.set(name, String(row[1]).trim());
+      resolvedRows.push([row, null]);
     }
+  });
+  flushIdentityConflicts(identityIndex);
+
+  // --- Step 5: Allocate NUMERIC IDs for the new names in one batch ---
+  // New IDs come from the shared allocator (IdAllocator.js) so they cannot collide with
+  // IDs minted concurrently by the form triggers or the registration sheet.
+  // Rows with the same new name in this run are taken to be the same person.
+  if (newNames.size > 0) {
+    const names = Array.from(newNames.keys());
+    const newCodes = allocatePersonIds(names.map(name => ({ fullName: newNames.get(name) })), 'matchOrAssignBelCodes', highestFoundNum);
+    names.forEach((name, index) => {
+      belMap.set(name, newCodes[index]); // Add the new mapping
+      allUsedCodes.add(newCodes[index]);
+      if (newCodes[index] > highestFoundNum) highestFoundNum = newCodes[index];
+      Logger.log(`✅ Allocated NUMERIC ID ${newCodes[index]} for name "${newNames.get(name)}".`);
+    });
+  }
+
+  // --- Step 6: Format the attendance records with their final NUMERIC IDs ---
+  const results = [];
+  resolvedRows.forEach(([row, numericBel]) => {
+    const formattedRow = formatMatchedAttendanceRow(row, numericBel !== null ? numericBel : belMap.get(normalize(row[1])),
+      isEventAttendanceRow(row) ? "event" : "service");
+    if (!formattedRow) return; // Skip if structure is unexpected
     results.push(formattedRow);
   });
 
@@ -212,6 +195,102 @@ function matchOrAssignBelCodes() { // Consider renaming to matchOrAssignNumericI
   return results; // Each row[0] in this array will be a number
 }
 
+/**
+ * Adds the Directory rows (ID in Column B, name in Column C) to a name -> NUMERIC ID map and an identity index.
+ * Directory IDs are trusted as-is by identityIndex.resolve(). Shared by matchOrAssignBelCodes and the
+ * incremental stats cache (IncrementalStats.js) so both match new rows the same way.
+ * @param {Array<Array<any>>} dData Directory values, header row first.
+ * @param {Map<string, number>} belMap Normalized name -> NUMERIC ID; the first Directory row per name wins.
+ * @param {Object} identityIndex Index from createIdentityIndex().
+ * @param {Set<number>} [allUsedCodes] Receives every valid NUMERIC ID found.
+ */
+function addDirectoryRowsToIdentityIndex(dData, belMap, identityIndex, allUsedCodes) {
+  const normalize = name => personNameKey(name);
+  const directoryHeaders = dData && dData.length > 0 ? dData[0] : [];
+  const directoryEmailCol = findHeaderIndex(directoryHeaders, ["email", "e-mail", "email address"]);
+  const directoryPhoneCol = findHeaderIndex(directoryHeaders, ["phone", "phone number", "mobile", "cell"]);
+
+  if (dData && dData.length > 1) {
+    dData.slice(1).forEach((row, index) => {
+      if (row.length > 2) {
+        const originalBel = row[1]; // Original ID from Column B
+        const name = normalize(row[2]); // Name from Column C
+        const numericBel = extractNumericBel(originalBel); // Uses the MODIFIED function
+
+        if (name) { // Name is mandatory
+          if (numericBel !== null) { // A valid PURELY NUMERIC ID was extracted
+            if (!belMap.has(name)) {
+              belMap.set(name, numericBel);
+            }
+            if (allUsedCodes) allUsedCodes.add(numericBel);
+            identityIndex.addRecord({
+              id: numericBel,
+              fullName: row[2],
+              email: directoryEmailCol !== -1 ? row[directoryEmailCol] : "",
+              phone: directoryPhoneCol !== -1 ? row[directoryPhoneCol] : ""
+            }, true);
+          } else if (originalBel && originalBel.toString().trim() !== '') {
+            // Log if there was some value in the ID column that wasn't a valid number
+            Logger.log(`ℹ️ Directory: Row ${index + 2}: Value "${originalBel}" in ID column is not a plain number and will be ignored. A new numeric ID may be generated for "${name}" if needed.`);
+          }
+        } else {
+          Logger.log(`⚠️ Directory: Row ${index + 2}: Skipping row due to missing Name. Row data: ${JSON.stringify(row)}`);
+        }
+      } else {
+        Logger.log(`⚠️ Directory: Row ${index + 2}: Skipping row due to insufficient columns (${row.length} found). Expected at least 3. Row data (partial): ${JSON.stringify(row.slice(0,3))}`);
+      }
+    });
+    Logger.log(`✅ Populated numeric ID map and used codes from Directory (${dData.length > 1 ? dData.length - 1 : 0} data rows processed).`);
+  } else {
+    Logger.log("⚠️ addDirectoryRowsToIdentityIndex: Directory data (dData) is empty or missing headers.");
+  }
+}
+
+/**
+ * Formats one "Event Attendance" or "Service Attendance" row into the 11-column record
+ * returned by matchOrAssignBelCodes (Event Attendance layout, Service rows as "Sunday Service").
+ * Also used by the incremental stats cache (IncrementalStats.js) for newly added rows.
+ * The caller names the layout from the sheet the row came from; the row width is not a reliable guide
+ * (a Service sheet with extra trailing columns is as wide as Event Attendance).
+ * @param {Array<any>} row The source attendance row.
+ * @param {number} numericBel The person's resolved numeric ID.
+ * @param {string} layout "event" for the "Event Attendance" layout, "service" for the "Service Attendance"
+ *   layout (also "Sunday Service" form rows: A ID, B Full Name, C First, D Last, E Timestamp, ..., G Email).
+ * @returns {Array<any>|null} The formatted record, or null if the row does not fit the layout.
+ */
+function formatMatchedAttendanceRow(row, numericBel, layout) {
+  const formattedRow = Array(11).fill("");
+  formattedRow[0] = numericBel; // Column A: Assigned PURELY NUMERIC ID
+
+  // Map data based on source sheet structure
+  if (layout === "event" && row.length >= 11) { // eData
+    formattedRow[1] = row[1];  // Full Name
+    formattedRow[2] = row[2];  // Event Name
+    formattedRow[3] = row[3];  // Event ID
+    formattedRow[4] = row[4];  // First Name
+    formattedRow[5] = row[5];  // Last Name
+    formattedRow[6] = row[6];  // Email
+    formattedRow[7] = row[7];  // Phone
+    formattedRow[8] = row[8];  // Form Sheet
+    formattedRow[9] = row[9];  // Role
+    formattedRow[10] = row[10]; // Timestamp
+  } else if (layout === "service" && typeof row[4] !== 'undefined') { // sData
+    formattedRow[1] = row[1];         // Full Name
+    formattedRow[2] = "Sunday Service"; // Event Name
+    formattedRow[3] = "Service";        // Event ID
+    formattedRow[4] = row[2];         // First Name (from sData C)
+    formattedRow[5] = row[3];         // Last Name (from sData D)
+    formattedRow[6] = row[6];         // Email (from sData G)
+    // formattedRow[7] (Phone) and formattedRow[8] (Form Sheet) remain ""
+    formattedRow[9] = "";             // Role
+    formattedRow[10] = row[4];        // Timestamp (from sData E)
+  } else {
+    Logger.log(`⚠️ Processing Attendance: Skipping row for "${row[1]}" (ID: ${numericBel}) that does not fit the "${layout}" layout. Row data: ${JSON.stringify(row)}`);
+    return null;
+  }
+  return formattedRow;
+}
+
 // NOTE: matchOrAssignBelCodes expects a global getDataFromSheets() function
 // which is implemented in LoadAndCleanData.js. That function should return
 // an object containing { sData, eData, dData }.
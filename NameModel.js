@@ -0,0 +1,183 @@
+/**
+ * Name Model
+ * Shared parsing and composition of person names, so every script agrees on which part of a
+ * name is the given name and which is the family name.
+ *
+ * A parsed name has: givenName (including middle names), familyName (including particles such
+ * as "de la" or "van"), suffix ("Jr.", "III"), preferredName ("Jack" in John "Jack" Smith) and
+ * displayOrder ("given-first", or "family-first" for East Asian names).
+ *
+ * Family-first is used for names written in Chinese, Japanese or Korean script, and for romanized
+ * names with a common East Asian surname followed by a hyphenated given name ("Chen Wei-Ling").
+ * "Family, Given" input is always understood as family name first.
+ *
+ * Composed names always separate the parts with a space, CJK ones included ("王 小明"). Full names were
+ * stored given-first ("小明 王") before this model, and personNameKey() depends on the word order, so
+ * composePersonNameInKnownOrder() keeps the given-first order for people already on file under it.
+ */
+
+const NAME_DISPLAY_GIVEN_FIRST = "given-first";
+const NAME_DISPLAY_FAMILY_FIRST = "family-first";
+
+const NAME_SUFFIXES = ["jr", "sr", "ii", "iii", "iv", "phd", "md", "esq"];
+const FAMILY_NAME_PARTICLES = ["da", "de", "del", "della", "der", "di", "dos", "das", "du", "la", "van", "von", "ten", "ter", "bin", "binti", "al", "st", "st."];
+const FAMILY_NAME_CONNECTORS = ["y"]; // Joins two surnames: "José Ortega y Gasset"
+const COMPOUND_CJK_SURNAMES = ["歐陽", "欧阳", "司馬", "司马", "諸葛", "诸葛", "上官", "皇甫", "令狐", "東方", "东方", "夏侯", "慕容", "尉遲", "尉迟", "公孫", "公孙", "長孫", "长孙", "남궁", "선우", "제갈", "황보", "독고", "사공"];
+const ROMANIZED_EAST_ASIAN_SURNAMES = [
+  "chen", "chan", "lin", "lim", "wang", "wong", "huang", "wu", "ng", "liu", "lau", "chang", "zhang", "cheung", "lee", "li", "yang", "yeung",
+  "tsai", "cai", "hsu", "xu", "tseng", "zeng", "kuo", "guo", "ho", "he", "lo", "luo", "chou", "zhou", "chow", "hsieh", "xie", "tse",
+  "kim", "park", "pak", "choi", "choe", "jung", "jeong", "kang", "cho", "jo", "yoon", "yun", "jang", "han", "oh", "seo", "shin", "kwon", "hwang", "ahn", "song", "hong",
+  "nguyen", "tran", "le", "pham", "phan", "vu", "dang", "bui", "do", "ngo", "duong", "ly"
+];
+
+const CJK_NAME_REGEX = /[\u3040-\u30ff\u3400-\u4dbf\u4e00-\u9fff\uac00-\ud7af]/; // Kana, CJK ideographs, Hangul
+
+/**
+ * Parses a full name into its parts.
+ * @param {string} fullName The name as typed (e.g. "Juan de la Cruz", "Smith, John Jr.", "王小明").
+ * @param {{givenName: string, familyName: string}} [hints] Given and family names already known
+ *   (e.g. the First/Last columns of a form). They win over anything worked out from fullName.
+ * @return {{givenName: string, familyName: string, suffix: string, preferredName: string, displayOrder: string}}
+ */
+function parsePersonName(fullName, hints) {
+  let text = String(fullName || "").replace(/\s+/g, " ").trim();
+  const parsed = { givenName: "", familyName: "", suffix: "", preferredName: "", displayOrder: NAME_DISPLAY_GIVEN_FIRST };
+
+  // Preferred name in quotes or parentheses: John "Jack" Smith, John (Jack) Smith
+  const preferredMatch = text.match(/["\u201c\u201d]([^"\u201c\u201d]+)["\u201c\u201d]|\(([^)]+)\)/);
+  if (preferredMatch) {
+    parsed.preferredName = (preferredMatch[1] || preferredMatch[2]).trim();
+    text = text.replace(preferredMatch[0], " ").replace(/\s+/g, " ").trim();
+  }
+
+  // Trailing suffixes: "John Smith Jr.", "John Smith, III"
+  let tokens = text.split(" ").filter(t => t);
+  const suffixes = [];
+  while (tokens.length > 1 && isNameSuffix(tokens[tokens.length - 1])) {
+    suffixes.unshift(tokens.pop().replace(/,$/, ""));
+  }
+  parsed.suffix = suffixes.join(" ");
+  text = tokens.join(" ").replace(/,\s*$/, "");
+
+  if (text.indexOf(",") !== -1) {
+    // "Family, Given" (possibly "Family, Given, Jr.", handled above)
+    const commaIndex = text.indexOf(",");
+    parsed.familyName = text.substring(0, commaIndex).trim();
+    parsed.givenName = text.substring(commaIndex + 1).replace(/,/g, " ").replace(/\s+/g, " ").trim();
+  } else if (CJK_NAME_REGEX.test(text)) {
+    parsed.displayOrder = NAME_DISPLAY_FAMILY_FIRST;
+    tokens = text.split(" ").filter(t => t);
+    if (tokens.length > 1) {
+      parsed.familyName = tokens[0];
+      parsed.givenName = tokens.slice(1).join(" ");
+    } else {
+      const compound = COMPOUND_CJK_SURNAMES.find(surname => text.indexOf(surname) === 0 && text.length > surname.length);
+      const familyLength = compound ? compound.length : 1;
+      parsed.familyName = text.substring(0, familyLength);
+      parsed.givenName = text.substring(familyLength);
+    }
+  } else {
+    tokens = text.split(" ").filter(t => t);
+    if (tokens.length === 1) {
+      parsed.givenName = tokens[0];
+    } else if (tokens.length === 2 && tokens[1].indexOf("-") !== -1 &&
+      ROMANIZED_EAST_ASIAN_SURNAMES.indexOf(tokens[0].toLowerCase()) !== -1) {
+      // "Chen Wei-Ling", "Kim Min-jun"
+      parsed.displayOrder = NAME_DISPLAY_FAMILY_FIRST;
+      parsed.familyName = tokens[0];
+      parsed.givenName = tokens[1];
+    } else if (tokens.length > 1) {
+      // Family name is the last word plus any particles right before it: "Juan de la Cruz", "Ludwig van Beethoven",
+      // or two surnames joined by a connector: "José Ortega y Gasset"
+      let familyStart = tokens.length - 1;
+      const takeParticles = () => {
+        while (familyStart > 1 && FAMILY_NAME_PARTICLES.indexOf(tokens[familyStart - 1].toLowerCase()) !== -1) {
+          familyStart--;
+        }
+      };
+      takeParticles();
+      if (familyStart > 2 && FAMILY_NAME_CONNECTORS.indexOf(tokens[familyStart - 1].toLowerCase()) !== -1) {
+        familyStart -= 2; // The connector and the first surname
+        takeParticles();
+      }
+      parsed.givenName = tokens.slice(0, familyStart).join(" ");
+      parsed.familyName = tokens.slice(familyStart).join(" ");
+    }
+  }
+
+  if (hints) {
+    const hintGiven = String(hints.givenName || "").trim();
+    const hintFamily = String(hints.familyName || "").trim();
+    if (hintGiven || hintFamily) {
+      parsed.givenName = hintGiven || parsed.givenName;
+      parsed.familyName = hintFamily || parsed.familyName;
+      if (CJK_NAME_REGEX.test(hintGiven + hintFamily)) parsed.displayOrder = NAME_DISPLAY_FAMILY_FIRST;
+    }
+  }
+  return parsed;
+}
+
+/**
+ * Composes a full name from its parts in the right display order ("王" + "小明" -> "王 小明").
+ * @param {{givenName: string, familyName: string, suffix: string, preferredName: string, displayOrder: string}} name
+ *   The name parts. displayOrder is worked out from the script when omitted.
+ * @param {{usePreferredName: boolean}} [options] Use the preferred name instead of the given name.
+ * @return {string} The composed full name.
+ */
+function composePersonName(name, options) {
+  const given = String((options && options.usePreferredName && name.preferredName) || name.givenName || "").trim();
+  const family = String(name.familyName || "").trim();
+  const suffix = String(name.suffix || "").trim();
+  const isCjk = CJK_NAME_REGEX.test(given + family);
+  const displayOrder = name.displayOrder || (isCjk ? NAME_DISPLAY_FAMILY_FIRST : NAME_DISPLAY_GIVEN_FIRST);
+  const parts = displayOrder === NAME_DISPLAY_FAMILY_FIRST ? [family, given] : [given, family];
+  return parts.concat([suffix]).filter(p => p).join(" ");
+}
+
+/**
+ * Composes a full name like composePersonName, but keeps the given-first order for a family-first name
+ * that is already on file given-first, so the person's name key (and so their ID match) does not change.
+ * @param {{givenName: string, familyName: string, suffix: string, preferredName: string, displayOrder: string}} name
+ *   The name parts.
+ * @param {function(string): boolean} isKnownName Tells whether a composed full name is already on file.
+ * @return {string} The composed full name.
+ */
+function composePersonNameInKnownOrder(name, isKnownName) {
+  const composed = composePersonName(name);
+  const givenFirst = composePersonName(Object.assign({}, name, { displayOrder: NAME_DISPLAY_GIVEN_FIRST }));
+  if (composed === givenFirst || isKnownName(composed)) return composed;
+  return isKnownName(givenFirst) ? givenFirst : composed;
+}
+
+/**
+ * Splits a full name into the First Name / Last Name columns used by the attendance and registration sheets.
+ * The suffix stays with the family name ("Smith Jr.") so composing the columns again gives back the full name.
+ * @param {string} fullName The full name.
+ * @return {{firstName: string, lastName: string}} The column values.
+ */
+function splitNameForColumns(fullName) {
+  const parsed = parsePersonName(fullName);
+  return {
+    firstName: parsed.givenName,
+    lastName: [parsed.familyName, parsed.suffix].filter(p => p).join(" ")
+  };
+}
+
+/**
+ * Returns a key for sorting people by family name, then given name. Suffixes are ignored.
+ * @param {string} firstName The First Name column value.
+ * @param {string} lastName The Last Name column value.
+ * @return {string} A lower-case sort key.
+ */
+function personNameSortKey(firstName, lastName) {
+  const familyWithoutSuffix = String(lastName || "").trim().split(/\s+/).filter(t => !isNameSuffix(t)).join(" ");
+  return `${familyWithoutSuffix} ${String(firstName || "").trim()}`.toLowerCase().trim();
+}
+
+/**
+ * @param {string} token A single word of a name.
+ * @return {boolean} True if the word is a generational or professional suffix (Jr., III, PhD).
+ */
+function isNameSuffix(token) {
+  return NAME_SUFFIXES.indexOf(String(token || "").toLowerCase().replace(/[.,]/g, "")) !== -1;
+}
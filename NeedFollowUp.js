@@ -1,227 +1,178 @@
 /**
- * Analyzes attendance entries in 'Event Attendance' to identify
- * first-time attendees and those needing follow-up based on attendance gap,
- * using Full Name (Column B) for identification.
+ * Follow-up detection, keyed on the person ID.
+ * Works out one decision per person from every attendance source:
+ *   - "Event Attendance" and "Service Attendance", matched to IDs (the stats cache, see IncrementalStats.js);
+ *   - "Sunday Service" form responses not yet transferred to "Service Attendance";
+ *   - people ticked ✓ Present on the Sunday Registration checklist but not yet submitted.
+ * Who needs follow-up is set by the "Follow-Up Policies" and "Follow-Up Exclusions" sheets (see FollowUpPolicies.js).
+ * The decision fills the 'First-Time' / 'Need Follow-up?' columns (L/M) of 'Event Attendance' and
+ * the "Follow-Up Queue" sheet (see FollowUpQueue.js).
  */
-function processEventAttendanceForFollowUpByName() { // Changed function name to indicate name-based
-  Logger.log('Processing Event Attendance for follow-up by Name...');
 
-  // --- Configuration ---
+/**
+ * Refreshes the follow-up flags on 'Event Attendance' and the "Follow-Up Queue" sheet.
+ * Intended for a time-driven trigger or the Follow-Up menu.
+ * @return {Map<string, Object>} The decisions from getFollowUpDecisions().
+ */
+function processFollowUpsById() {
+  Logger.log("Processing follow-up by person ID...");
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const decisions = getFollowUpDecisions();
 
-  // Tab names
-  const eventAttendanceTabName = 'Event Attendance';
-  const sundayServiceTabName = 'Sunday Service'; // Ensure this is the exact name of the Sunday Service tab
-
-  // Column indices (0-based) for data reading
-  // UPDATED: Using Full Name (Column B) for identification
-  const eventAttendanceNameCol = 1; // Column B: Full Name in Event Attendance
-  const eventAttendanceDateCol = 10; // Column K: Date/Timestamp in Event Attendance - Confirmed
-  // UPDATED: Using Full Name (Column B) for identification in Sunday Service
-  const sundayServiceNameCol = 1; // Column B: Full Name in Sunday Service
-  const sundayServiceDateCol = 4; // Column E: Date in Sunday Service (Assuming "Timestamp")
-
-  // Column indices (0-based) for writing results in Event Attendance
-  const firstTimeCol = 11; // Column L: 'First-Time' - Confirmed
-  const needFollowUpCol = 12; // Column M: 'Need Follow-up?' - Confirmed
-
-  // Header row number (1-based) - Assuming row 1 is header
-  const headerRow = 1;
-
-    // Define the threshold for follow-up gap in days
-  const followUpThresholdDays = 30;
-
-
-  // --- Get Sheets ---
-  const eventAttendanceSheet = ss.getSheetByName(eventAttendanceTabName);
-  const sundayServiceSheet = ss.getSheetByName(sundayServiceTabName);
+  // Column indices (0-based) in Event Attendance
+  const eventAttendanceDateCol = 10; // Column K: Timestamp
+  const firstTimeCol = 11; // Column L: 'First-Time'
+  const needFollowUpCol = 12; // Column M: 'Need Follow-up?'
 
+  const eventAttendanceSheet = ss.getSheetByName('Event Attendance');
   if (!eventAttendanceSheet) {
-    Logger.log(`Error: Sheet named "${eventAttendanceTabName}" not found.`);
-    SpreadsheetApp.getUi().alert(`Error: Sheet named "${eventAttendanceTabName}" not found.`);
-    return;
-  }
-  if (!sundayServiceSheet) {
-    Logger.log(`Error: Sheet named "${sundayServiceTabName}" not found.`);
-    SpreadsheetApp.getUi().alert(`Error: Sheet named "${sundayServiceTabName}" not found.`);
-    return;
-  }
-
-  // --- Read All Historical Attendance Data ---
-  // UPDATED: Map key is standardized Full Name
-  const allAttendanceDates = new Map(); // Map: Standardized Full Name -> Sorted Array of Date Objects
-
-  // Read data from 'Sunday Service'
-  const sundayServiceData = sundayServiceSheet.getDataRange().getValues();
-  Logger.log(`Reading ${sundayServiceData.length} rows from "${sundayServiceTabName}".`);
-  for (let i = headerRow; i < sundayServiceData.length; i++) {
-    const row = sundayServiceData[i];
-    const name = row[sundayServiceNameCol]; // Read name
-    const date = row[sundayServiceDateCol];
-
-    if (name && date instanceof Date) { // Process only rows with Name and valid Date
-      const standardizedName = String(name).trim().toUpperCase(); // Standardize name
-      if (standardizedName !== '') { // Ensure name is not just whitespace after trimming
-          if (!allAttendanceDates.has(standardizedName)) {
-            allAttendanceDates.set(standardizedName, []);
-          }
-          allAttendanceDates.get(standardizedName).push(date);
-      }
-    }
+    Logger.log(`❌ Sheet "Event Attendance" not found. Follow-up flags not written.`);
+  } else if (eventAttendanceSheet.getLastRow() >= 2) {
+    const eventRows = eventAttendanceSheet.getRange(2, 1, eventAttendanceSheet.getLastRow() - 1, eventAttendanceDateCol + 1).getValues();
+    const resolvePersonId = createFollowUpIdResolver(decisions);
+    const flags = eventRows.map(row => {
+      const decision = decisions.get(resolvePersonId(row[0], row[1]));
+      const date = toDate(row[eventAttendanceDateCol]);
+      if (!decision || !date) return ['', ''];
+      // First-Time: this row is on the person's first day of attendance anywhere
+      const firstTime = formatCongregationDate(date) === formatCongregationDate(decision.firstAttended);
+      return [firstTime ? 'YES' : '', decision.needFollowUp ? 'YES' : ''];
+    });
+    eventAttendanceSheet.getRange(2, firstTimeCol + 1, flags.length, needFollowUpCol - firstTimeCol + 1).setValues(flags);
+    Logger.log(`✅ Wrote follow-up flags for ${flags.length} rows in "Event Attendance".`);
   }
 
-  // Read data from 'Event Attendance' (all rows to build historical data)
-  const eventAttendanceDataFull = eventAttendanceSheet.getDataRange().getValues();
-  Logger.log(`Reading ${eventAttendanceDataFull.length} rows from "${eventAttendanceTabName}" for history.` );
-    // Skip header row and the columns we will write to later
-  const processableEventAttendanceData = eventAttendanceDataFull.slice(headerRow);
-
-
-  for (let i = 0; i < processableEventAttendanceData.length; i++) {
-    const row = processableEventAttendanceData[i];
-    const name = row[eventAttendanceNameCol]; // Read name
-    // Use the date from the correct column (K) for building historical data
-    const date = row[eventAttendanceDateCol];
+  updateFollowUpQueue(decisions);
+  Logger.log('Follow-up processing finished.');
+  return decisions;
+}
 
-    if (name && date instanceof Date) { // Process only rows with Name and valid Date
-        const standardizedName = String(name).trim().toUpperCase(); // Standardize name
-        if (standardizedName !== '') { // Ensure name is not just whitespace after trimming
-          if (!allAttendanceDates.has(standardizedName)) {
-            allAttendanceDates.set(standardizedName, []);
-          }
-          allAttendanceDates.get(standardizedName).push(date);
-        }
-    }
-  }
+/**
+ * Kept so existing triggers and menu items that call the old name-based function keep working.
+ * @deprecated Use processFollowUpsById().
+ */
+function processEventAttendanceForFollowUpByName() {
+  return processFollowUpsById();
+}
 
-  // Sort dates for each person (by standardized name) chronologically
-  allAttendanceDates.forEach(dates => {
-    dates.sort((a, b) => a.getTime() - b.getTime());
+/**
+ * Decides, for every person who has attended, whether they need follow-up.
+ * @param {Date} [asOfDate] Decide as of the end of this day; attendance after it is ignored. Defaults to now.
+ * @return {Map<string, {id: string, fullName: string, firstAttended: Date, lastAttended: Date, daysSince: number,
+ *   policy: string, repeatDays: number, reasons: Array<string>, exclusion: Object|null, needFollowUp: boolean}>}
+ *   Person ID -> decision. policy is the audience label of the policy that applied; exclusion is the person's
+ *   snooze or opt-out, if any, in which case needFollowUp is false.
+ */
+function getFollowUpDecisions(asOfDate) {
+  const asOf = asOfDate instanceof Date ? asOfDate : null; // Triggers pass an event object
+  const grouped = groupAttendanceRecordsById(collectFollowUpAttendanceRecords(), asOf);
+  const serviceKeys = getSundayServiceKeys(grouped);
+  const today = startOfDay(asOf || new Date());
+  const policies = getFollowUpPolicies();
+  const exclusions = loadFollowUpExclusions(today);
+  const activityLevels = getActivityLevelsById(); // Today's levels, also for "as of" runs (EventSummary.js)
+
+  const decisions = new Map();
+  grouped.forEach((records, personId) => {
+    if (records.length === 0) return;
+    const dates = records.map(r => r.date).sort((a, b) => a.getTime() - b.getTime());
+    const fullName = records.reduce((latest, r) => r.date > latest.date ? r : latest).name;
+    const lastAttended = startOfDay(dates[dates.length - 1]);
+    const daysSince = Math.round((today.getTime() - lastAttended.getTime()) / (24 * 60 * 60 * 1000));
+    const { policy, reasons } = evaluateFollowUpPolicy({
+      isFirstTimer: new Set(dates.map(date => formatCongregationDate(date))).size === 1,
+      activityLevel: activityLevels.get(personId) || "",
+      daysSince: daysSince,
+      sundaysMissed: calculateSundayStreaks(records, serviceKeys)[2]
+    }, policies);
+    const exclusion = exclusions.find(personId, fullName);
+    decisions.set(personId, {
+      id: personId,
+      fullName: fullName,
+      firstAttended: startOfDay(dates[0]),
+      lastAttended: lastAttended,
+      daysSince: daysSince,
+      policy: policy ? policy.label : "",
+      repeatDays: policy ? policy.repeatDays : 0,
+      reasons: reasons,
+      exclusion: exclusion,
+      needFollowUp: reasons.length > 0 && !exclusion
+    });
   });
 
-  Logger.log(`Built combined attendance history for ${allAttendanceDates.size} unique names.`);
-
-  // --- Process 'Event Attendance' Entries to Populate Columns L and M ---
-  const resultsToWrite = [];
-
-  // Iterate through Event Attendance data rows (starting from the row after header)
-  // We use the full data just to iterate, but calculate based on the combined history
-  for (let i = headerRow; i < eventAttendanceDataFull.length; i++) {
-    const row = eventAttendanceDataFull[i];
-    const name = row[eventAttendanceNameCol]; // Read name for processing
-    const rowNumber = i + headerRow + 1; // Calculate 1-based row number for logging
-    // Use the date from the correct column (K) for the current entry being processed
-    const currentDate = row[eventAttendanceDateCol];
-
-    let firstTimeFlag = '';
-    let needFollowUpFlag = '';
-
-    // Log the start of processing for this row
-    Logger.log(`--- Processing Row ${rowNumber} (Name: ${name}) ---`);
-
-    // Process only rows with a valid Name and a valid Date in column K
-    if (name && currentDate instanceof Date) {
-        const standardizedName = String(name).trim().toUpperCase(); // Standardize name for lookup
-
-        if (standardizedName !== '') { // Ensure name is not just whitespace
-          // Get the sorted list of dates for this person (by standardized name)
-          const personDates = allAttendanceDates.get(standardizedName) || [];
-          Logger.log(`Row ${rowNumber}: Found ${personDates.length} attendance dates for name "${standardizedName}".`);
-          // Optional: Log all dates found for the person (can be very verbose for many dates)
-          // Logger.log(`Row ${rowNumber}: Dates found for "${standardizedName}": ${personDates.map(d => d.toISOString()).join(', ')}`);
-
-
-          // --- Find the most recent attendance date *strictly before* the currentDate ---
-          let lastAttendanceDate = null;
-          for (const date of personDates) {
-            // Use getTime() for precise comparison including time
-            if (date.getTime() < currentDate.getTime()) {
-              // Keep updating lastAttendanceDate as we find later dates that are still before currentDate
-              lastAttendanceDate = date;
-            } else {
-              // Since personDates is sorted, once we hit a date >= currentDate, stop.
-              break;
-            }
-          }
-
-          // Log the current date and the last attendance date found
-          Logger.log(`Row ${rowNumber}: Current Date (K): ${currentDate ? currentDate.toISOString() : 'Invalid Date'}`);
-          Logger.log(`Row ${rowNumber}: Last Attendance Date Found (Before Current): ${lastAttendanceDate ? lastAttendanceDate.toISOString() : 'None Found'}`);
-
-
-          // --- Determine 'First-Time' ---
-          // If lastAttendanceDate is null, it means no date was found before currentDate in the history
-          if (lastAttendanceDate === null) {
-            firstTimeFlag = 'YES';
-            Logger.log(`Row ${rowNumber}: Determined 'First-Time' = YES (No previous attendance found).`);
-          } else {
-            firstTimeFlag = ''; // Leave blank if a previous date was found
-             Logger.log(`Row ${rowNumber}: Determined 'First-Time' = (Previous attendance found).`);
-          }
-
-          // --- Determine 'Need Follow-up?' ---
-          // This should be based on the MOST RECENT overall attendance date for the person
-          // compared to TODAY's date (when the script is run), not necessarily the current row's date.
-          // Make sure 'personDates' is sorted, which it is already.
-          if (personDates.length > 0) {
-            const latestOverallAttendanceDate = personDates[personDates.length - 1]; // Get the very last date in the sorted array
-            const today = new Date(); // Get today's date for comparison
-            today.setHours(0, 0, 0, 0); // Normalize today's date to midnight for consistent day calculation
-
-            const timeDiffSinceLastAttendance = today.getTime() - latestOverallAttendanceDate.getTime();
-            const daysDiffSinceLastAttendance = timeDiffSinceLastAttendance / (1000 * 60 * 60 * 24);
-
-            Logger.log(`Row ${rowNumber}: Latest overall attendance date: ${latestOverallAttendanceDate.toISOString()}`);
-            Logger.log(`Row ${rowNumber}: Days since latest overall attendance (compared to today): ${daysDiffSinceLastAttendance}`);
-
-            if (daysDiffSinceLastAttendance >= followUpThresholdDays) {
-              needFollowUpFlag = 'YES';
-              Logger.log(`Row ${rowNumber}: Determined 'Need Follow-up?' = YES (Last overall attendance > ${followUpThresholdDays} days ago).`);
-            } else {
-              needFollowUpFlag = '';
-              Logger.log(`Row ${rowNumber}: Determined 'Need Follow-up?' = (Last overall attendance < ${followUpThresholdDays} days ago).`);
-            }
-          } else {
-            // If no attendance found for this person at all, they don't need follow-up based on attendance gap.
-            // They would be marked 'First-Time' if this is their first entry.
-            needFollowUpFlag = '';
-            Logger.log(`Row ${rowNumber}: Determined 'Need Follow-up?' = (No attendance history for this person).`);
-          }
-
-        } else {
-          // If Name is just whitespace after trimming, skip processing for this row's logic
-          firstTimeFlag = '';
-          needFollowUpFlag = '';
-          Logger.log(`Row ${rowNumber}: Skipping processing - Name in column B is blank or whitespace.`);
-        }
-
-
-    } else {
-       // If Name is missing/invalid or Date is missing/invalid in column K, leave flags blank
-        firstTimeFlag = '';
-        needFollowUpFlag = '';
-        Logger.log(`Row ${rowNumber}: Skipping processing - Missing Name in column B or invalid Date in column K.`);
-    }
-     Logger.log(`--- Finished Processing Row ${rowNumber} ---`);
+  const flagged = Array.from(decisions.values()).filter(decision => decision.needFollowUp).length;
+  Logger.log(`Follow-up decisions${asOf ? ` as of ${formatCongregationDate(asOf)}` : ''}: ${flagged} of ${decisions.size} people need follow-up.`);
+  return decisions;
+}
 
+/**
+ * Gathers attendance records from every source, in the 11-column matchOrAssignBelCodes format.
+ * Rows from the "Sunday Service" form and the registration checklist are matched by their ID column,
+ * or by a name already matched to an ID; rows that match neither are left for the next full match.
+ * A check-in that appears in more than one source is harmless: the decisions count days and Sundays, not rows.
+ * @return {Array<Array<any>>} The records.
+ */
+function collectFollowUpAttendanceRecords() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const records = getIncrementalAttendanceRecords().slice();
+  const aliases = loadPersonAliases();
+  const idByName = new Map();
+  records.forEach(record => {
+    const key = personNameKey(record[1]);
+    if (key && !idByName.has(key)) idByName.set(key, record[0]);
+  });
+  const resolveId = (idValue, fullName) => {
+    if (extractNumericBel(idValue) !== null) return extractNumericBel(aliases.resolveId(idValue));
+    return idByName.get(personNameKey(fullName)) || extractNumericBel(aliases.idForName(fullName)) || null;
+  };
+  let unmatched = 0;
+
+  // "Sunday Service" form responses: same layout as "Service Attendance" (A ID, B Full Name, C First, D Last, E Timestamp, ...)
+  getSheetData(ss, "Sunday Service").slice(1).forEach(row => {
+    if (!String(row[1] || "").trim()) return;
+    const personId = resolveId(row[0], row[1]);
+    const record = personId ? formatMatchedAttendanceRow(row, personId, "service") : null;
+    if (record) records.push(record); else unmatched++;
+  });
 
-     // Add the results for this row to our array
-     // Ensure the array has 2 elements corresponding to the 2 output columns
-     resultsToWrite.push([firstTimeFlag, needFollowUpFlag]);
+  // Sunday Registration checklist: ticked ✓ Present for the service date in B2, not yet submitted
+  const regSheet = ss.getSheetByName("Sunday Registration");
+  const serviceDate = regSheet ? toDate(regSheet.getRange("B2").getValue()) : null;
+  if (regSheet && serviceDate && regSheet.getLastRow() >= 6) {
+    regSheet.getRange(6, 1, regSheet.getLastRow() - 5, 5).getValues().forEach(([idValue, fullName, firstName, lastName, isChecked]) => {
+      if (isChecked !== true || !String(fullName || "").trim()) return;
+      const personId = resolveId(idValue, fullName);
+      if (!personId) {
+        unmatched++;
+        return;
+      }
+      records.push(formatMatchedAttendanceRow([personId, fullName, firstName, lastName, serviceDate, "No", "", ""], personId, "service"));
+    });
   }
 
-  // --- Write Results Back to Sheet ---
-  if (resultsToWrite.length > 0) {
-      // Determine the range to write to (starting from the row after header, columns L and M)
-      // The range should be 2 columns wide (L and M)
-    const targetRange = eventAttendanceSheet.getRange(headerRow + 1, firstTimeCol + 1, resultsToWrite.length, 2);
-    targetRange.setValues(resultsToWrite);
-    Logger.log(`Successfully wrote results for ${resultsToWrite.length} rows in "${eventAttendanceTabName}".`);
-  } else {
-    Logger.log(`No data rows found in "${eventAttendanceTabName}" to process.`);
+  if (unmatched > 0) {
+    Logger.log(`ℹ️ ${unmatched} Sunday Service / registration row(s) have no known person ID yet and are left out of follow-up until the next stats rebuild.`);
   }
+  return records;
+}
 
-  Logger.log('Event Attendance follow-up script finished.');
+/**
+ * Returns a function that finds the person ID for an attendance row's ID and Full Name cells.
+ * @param {Map<string, Object>} decisions Output of getFollowUpDecisions().
+ * @return {function(any, any): string} (idValue, fullName) -> person ID, or "" if unknown.
+ */
+function createFollowUpIdResolver(decisions) {
+  const aliases = loadPersonAliases();
+  const idByName = new Map();
+  decisions.forEach(decision => {
+    const key = personNameKey(decision.fullName);
+    if (key) idByName.set(key, decision.id);
+  });
+  return (idValue, fullName) => {
+    const resolved = aliases.resolveId(idValue);
+    if (resolved && decisions.has(resolved)) return resolved;
+    return idByName.get(personNameKey(fullName)) || aliases.idForName(fullName) || "";
+  };
 }
 
 // Helper function (getDateValue - kept for completeness)
@@ -0,0 +1,521 @@
+/**
+ * Person Merge
+ * Folds one person ID into another across every sheet that stores person IDs in Column A,
+ * records the merged ID and its names as aliases of the surviving ID, and logs each merge
+ * to the "Merge Log" sheet so it can be reviewed or reversed.
+ */
+
+const PERSON_ALIASES_SHEET_NAME = "Person Aliases";
+const PERSON_ALIASES_HEADERS = ["Alias ID", "Alias Name", "Survivor ID", "Merge ID", "Created At"];
+const MERGE_LOG_SHEET_NAME = "Merge Log";
+const MERGE_LOG_HEADERS = ["Merge ID", "Merged At", "Merged By", "Survivor ID", "Merged ID", "Cells Changed", "Change Detail", "Status", "Reversed At", "Reversed By", "Notes"];
+const MERGE_LOG_STATUS_COL = 8; // Column H: Status (1-based)
+
+// Sheets whose Column A holds person IDs and Column B the name:
+// [sheet name, first data row, in external Directory spreadsheet?, 0-based timestamp column or -1]
+// The timestamp goes into each changed row's fingerprint so an undo finds the same rows again.
+// The "ID Allocations" ledger (IdAllocator.js) is deliberately not a target: it keeps the ID each person was
+// given, and its names resolve to survivors through Person Aliases like any other name.
+const MERGE_TARGET_SHEETS = [
+  ["Sunday Service", 2, false, 4],
+  ["Service Attendance", 2, false, 4],
+  ["Event Attendance", 2, false, 10],
+  ["Sunday Registration", 6, false, -1],
+  ["Directory", 2, true, -1],
+  ["New Member Form", 2, true, -1] // Default Directory staging tab (DirectoryStaging.js)
+];
+
+/**
+ * Merges mergedId into survivorId: rewrites every Column A reference in the merge target sheets,
+ * stores aliases so later name and ID lookups resolve to the survivor, and writes a Merge Log entry.
+ * @param {string|number} survivorId The ID that remains.
+ * @param {string|number} mergedId The ID that is folded into the survivor.
+ * @param {string} [notes] Free-text note for the Merge Log (e.g. the duplicate pair that prompted it).
+ * @return {{mergeId: string, cellsChanged: number}} Summary of the merge.
+ */
+function mergePersonIds(survivorId, mergedId, notes) {
+  const survivor = String(survivorId || "").trim();
+  const merged = String(mergedId || "").trim();
+  if (!survivor || !merged) {
+    throw new Error("mergePersonIds: Both a surviving ID and an ID to merge are required.");
+  }
+  if (survivor === merged) {
+    throw new Error(`mergePersonIds: Cannot merge ID ${merged} into itself.`);
+  }
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(ID_ALLOCATION_LOCK_TIMEOUT_MS)) {
+    throw new Error("mergePersonIds: Could not acquire the script lock. Another merge or ID allocation is running.");
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const directorySs = openDirectorySpreadsheetForMerge();
+    const mergeId = `M-${formatCongregationDate(new Date(), "yyyyMMdd-HHmmss")}-${merged}`;
+
+    const rewrite = rewritePersonIdReferences(ss, directorySs, merged, survivor, null);
+    const changeDetail = rewrite.changeDetail; // "Directory:Sheet", "Local:Sheet" or "Aliases:Sheet" -> [[1-based row, fingerprint]]
+    const aliasNames = rewrite.names;
+    const cellsChanged = rewrite.cellsChanged;
+
+    // Re-point aliases that pointed at the merged ID, then alias the merged ID and its names.
+    const aliasSheet = getOrCreateSheet(ss, PERSON_ALIASES_SHEET_NAME, PERSON_ALIASES_HEADERS);
+    const aliasLastRow = aliasSheet.getLastRow();
+    if (aliasLastRow >= 2) {
+      const aliasValues = aliasSheet.getRange(2, 1, aliasLastRow - 1, PERSON_ALIASES_HEADERS.length).getValues();
+      const survivorCol = aliasValues.map(row => [row[2]]);
+      const repointedRows = [];
+      survivorCol.forEach((row, index) => {
+        if (String(row[0]).trim() === merged) {
+          row[0] = survivor;
+          repointedRows.push([index + 2, aliasRowFingerprint(aliasValues[index])]);
+        }
+      });
+      if (repointedRows.length > 0) {
+        aliasSheet.getRange(2, 3, aliasLastRow - 1, 1).setValues(survivorCol);
+        changeDetail[`Aliases:${PERSON_ALIASES_SHEET_NAME}`] = repointedRows;
+      }
+    }
+    const now = new Date();
+    const aliasRows = aliasNames.size > 0
+      ? Array.from(aliasNames).map(name => [merged, name, survivor, mergeId, now])
+      : [[merged, "", survivor, mergeId, now]];
+    aliasSheet.getRange(aliasSheet.getLastRow() + 1, 1, aliasRows.length, PERSON_ALIASES_HEADERS.length).setValues(aliasRows);
+
+    const logSheet = getOrCreateSheet(ss, MERGE_LOG_SHEET_NAME, MERGE_LOG_HEADERS);
+    logSheet.appendRow([mergeId, now, getActiveUserEmail(), survivor, merged, cellsChanged, JSON.stringify(changeDetail), "Merged", "", "", notes || ""]);
+    SpreadsheetApp.flush();
+
+    Logger.log(`✅ mergePersonIds: Merge ${mergeId} complete. ${cellsChanged} cell(s) changed, ${aliasRows.length} alias row(s) recorded.`);
+    return { mergeId, cellsChanged };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Gives the rows where a shared person ID is used with one particular name their own ID.
+ * Only local sheets are rewritten; the Directory's own rows keep the shared ID. The new ID is
+ * allocated like any other, so the person is also staged on the Directory staging tab
+ * (see DirectoryStaging.js) for the office to complete. The split is written to the "Merge Log"
+ * with the new ID as the survivor, so "Undo Selected Merge" reverses it like a merge.
+ * @param {string|number} personId The ID currently shared by more than one name.
+ * @param {string} fullName The name whose rows should move to a new ID.
+ * @param {string} [notes] Free-text note for the Merge Log.
+ * @return {{mergeId: string, newId: string, cellsChanged: number}} Summary of the split.
+ */
+function splitPersonIdForName(personId, fullName, notes) {
+  const sharedId = String(personId || "").trim();
+  const nameKey = personNameKey(fullName);
+  if (!sharedId || !nameKey) {
+    throw new Error("splitPersonIdForName: Both a person ID and a name are required.");
+  }
+
+  // Allocate before taking the merge lock; allocatePersonId takes the same script lock itself.
+  const newId = String(allocatePersonId({ fullName: String(fullName).trim() }, `ID split from ${sharedId}`));
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(ID_ALLOCATION_LOCK_TIMEOUT_MS)) {
+    throw new Error("splitPersonIdForName: Could not acquire the script lock.");
+  }
+
+  try {
+    const ss = SpreadsheetApp.getActiveSpreadsheet();
+    const rewrite = rewritePersonIdReferences(ss, null, sharedId, newId, row => personNameKey(row[1]) === nameKey);
+    const mergeId = `S-${formatCongregationDate(new Date(), "yyyyMMdd-HHmmss")}-${sharedId}`;
+    const logSheet = getOrCreateSheet(ss, MERGE_LOG_SHEET_NAME, MERGE_LOG_HEADERS);
+    logSheet.appendRow([mergeId, new Date(), getActiveUserEmail(), newId, sharedId, rewrite.cellsChanged,
+      JSON.stringify(rewrite.changeDetail), "Split", "", "", notes || `Split "${String(fullName).trim()}" off ID ${sharedId}`]);
+    SpreadsheetApp.flush();
+
+    Logger.log(`✅ splitPersonIdForName: "${fullName}" moved from ID ${sharedId} to new ID ${newId} (${rewrite.cellsChanged} cell(s)).`);
+    return { mergeId, newId, cellsChanged: rewrite.cellsChanged };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Rewrites Column A from one person ID to another in every merge target sheet.
+ * Each changed row is recorded with its fingerprint (see personRowFingerprint) for reverseMerge.
+ * Callers must hold the script lock.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The active spreadsheet.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet|null} directorySs The Directory spreadsheet, or null to skip it.
+ * @param {string} fromId The ID to replace.
+ * @param {string} toId The replacement ID.
+ * @param {function(Array<any>): boolean|null} rowFilter Optional extra test on [ID, Full Name] for each matching row.
+ * @return {{changeDetail: Object, names: Set<string>, cellsChanged: number}} The changed rows per sheet
+ *   ([1-based row, fingerprint] pairs) and the names seen on them.
+ */
+function rewritePersonIdReferences(ss, directorySs, fromId, toId, rowFilter) {
+  const changeDetail = {};
+  const names = new Set();
+  let cellsChanged = 0;
+
+  getMergeTargetSheets().forEach(([sheetName, firstDataRow, isDirectory, timestampCol]) => {
+    const spreadsheet = isDirectory ? directorySs : ss;
+    if (!spreadsheet) return;
+    const sheet = spreadsheet.getSheetByName(sheetName);
+    if (!sheet) {
+      Logger.log(`⚠️ rewritePersonIdReferences: Sheet "${sheetName}" not found. Skipping.`);
+      return;
+    }
+    const lastRow = sheet.getLastRow();
+    if (lastRow < firstDataRow) return;
+
+    const numRows = lastRow - firstDataRow + 1;
+    const values = sheet.getRange(firstDataRow, 1, numRows, Math.max(2, timestampCol + 1)).getValues();
+    const idColumn = values.map(row => [row[0]]);
+    const changedRows = [];
+    values.forEach((row, index) => {
+      if (String(row[0]).trim() === fromId && (!rowFilter || rowFilter(row))) {
+        idColumn[index][0] = toId;
+        changedRows.push([firstDataRow + index, personRowFingerprint(row, timestampCol)]);
+        if (String(row[1] || "").trim()) names.add(String(row[1]).trim());
+      }
+    });
+
+    if (changedRows.length > 0) {
+      sheet.getRange(firstDataRow, 1, numRows, 1).setValues(idColumn);
+      changeDetail[`${isDirectory ? "Directory" : "Local"}:${sheetName}`] = changedRows;
+      cellsChanged += changedRows.length;
+      Logger.log(`✅ Rewrote ${changedRows.length} row(s) in "${sheetName}" from ${fromId} to ${toId}.`);
+    }
+  });
+
+  if (cellsChanged > 0) invalidateStatsCache(); // Cached stats records still hold the old ID (IncrementalStats.js)
+  return { changeDetail, names, cellsChanged };
+}
+
+/**
+ * Returns MERGE_TARGET_SHEETS plus the configured Directory staging tab when it is not one of them.
+ * @return {Array<Array<any>>} [sheet name, first data row, in Directory?, timestamp column] entries.
+ */
+function getMergeTargetSheets() {
+  const stagingTabName = getDirectoryStagingTabName();
+  const listed = MERGE_TARGET_SHEETS.some(([sheetName, , isDirectory]) => isDirectory && sheetName === stagingTabName);
+  return listed ? MERGE_TARGET_SHEETS : MERGE_TARGET_SHEETS.concat([[stagingTabName, 2, true, -1]]);
+}
+
+/**
+ * Identifies a merge target row independently of its position: the name in Column B and the
+ * timestamp, if the sheet has one. The ID is checked separately.
+ * @param {Array<any>} row The row values (Column A first).
+ * @param {number} timestampCol 0-based timestamp column, or -1.
+ * @return {string} The fingerprint.
+ */
+function personRowFingerprint(row, timestampCol) {
+  return mergeFingerprint([personNameKey(row[1]), timestampCol >= 0 ? row[timestampCol] : ""]);
+}
+
+/**
+ * @param {Array<any>} row A "Person Aliases" row.
+ * @return {string} The fingerprint of the row: alias ID, alias name and Created At.
+ */
+function aliasRowFingerprint(row) {
+  return mergeFingerprint([row[0], row[1], row[4]]);
+}
+
+/**
+ * @param {Array<any>} values Cell values.
+ * @return {string} A stable text form of the values (dates as milliseconds).
+ */
+function mergeFingerprint(values) {
+  return JSON.stringify(values.map(value => value instanceof Date ? value.getTime()
+    : String(value === null || value === undefined ? "" : value).trim()));
+}
+
+/**
+ * Reverses a merge recorded in the "Merge Log": every row the merge changed is set back to the
+ * merged ID, the merge's aliases are removed, and the log row is marked "Reversed".
+ * Rows are found by their fingerprint, so rows that moved since the merge are still restored.
+ * If any changed row can no longer be found holding the survivor ID with the same fingerprint
+ * (edited or deleted), nothing is restored and an error lists the rows.
+ * @param {string} mergeId The Merge ID from the log.
+ * @return {number} The number of cells restored.
+ */
+function reverseMerge(mergeId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const logSheet = ss.getSheetByName(MERGE_LOG_SHEET_NAME);
+  if (!logSheet || logSheet.getLastRow() < 2) {
+    throw new Error(`reverseMerge: "${MERGE_LOG_SHEET_NAME}" sheet has no entries.`);
+  }
+
+  const logValues = logSheet.getRange(2, 1, logSheet.getLastRow() - 1, MERGE_LOG_HEADERS.length).getValues();
+  const logIndex = logValues.findIndex(row => String(row[0]) === String(mergeId));
+  if (logIndex === -1) throw new Error(`reverseMerge: Merge ${mergeId} not found in "${MERGE_LOG_SHEET_NAME}".`);
+  const logRow = logValues[logIndex];
+  if (logRow[MERGE_LOG_STATUS_COL - 1] === "Reversed") throw new Error(`reverseMerge: Merge ${mergeId} was already reversed.`);
+
+  const survivor = String(logRow[3]).trim();
+  const merged = String(logRow[4]).trim();
+  const changeDetail = JSON.parse(logRow[6] || "{}");
+
+  const lock = LockService.getScriptLock();
+  if (!lock.tryLock(ID_ALLOCATION_LOCK_TIMEOUT_MS)) {
+    throw new Error("reverseMerge: Could not acquire the script lock.");
+  }
+
+  let restored = 0;
+  try {
+    const directorySs = openDirectorySpreadsheetForMerge();
+    const timestampCols = new Map(getMergeTargetSheets().map(([sheetName, , isDirectory, timestampCol]) =>
+      [`${isDirectory ? "Directory" : "Local"}:${sheetName}`, timestampCol]));
+
+    // Find every changed row before writing anything
+    const plans = [];
+    const missing = [];
+    Object.keys(changeDetail).forEach(key => {
+      const separator = key.indexOf(":");
+      const location = key.substring(0, separator);
+      const sheetName = key.substring(separator + 1);
+      const spreadsheet = location === "Directory" ? directorySs : ss;
+      const isAliases = location === "Aliases";
+      const column = isAliases ? 3 : 1; // Alias rows store the survivor in Column C
+      const sheet = spreadsheet ? spreadsheet.getSheetByName(sheetName) : null;
+      if (!sheet) {
+        missing.push(`"${sheetName}" (${location}) not found`);
+        return;
+      }
+      const timestampCol = timestampCols.has(key) ? timestampCols.get(key) : -1;
+      const fingerprintOf = row => isAliases ? aliasRowFingerprint(row) : personRowFingerprint(row, timestampCol);
+      const width = isAliases ? PERSON_ALIASES_HEADERS.length : Math.max(2, timestampCol + 1);
+      const values = sheet.getLastRow() >= 2 ? sheet.getRange(1, 1, sheet.getLastRow(), width).getValues() : [];
+      const used = new Set();
+      const holdsSurvivor = index => index >= 1 && index < values.length && !used.has(index) &&
+        String(values[index][column - 1]).trim() === survivor;
+
+      changeDetail[key].forEach(entry => {
+        if (!Array.isArray(entry)) {
+          missing.push(`"${sheetName}" row ${entry} was logged without a fingerprint`);
+          return;
+        }
+        const [rowNumber, fingerprint] = entry;
+        let index = rowNumber - 1;
+        if (!(holdsSurvivor(index) && fingerprintOf(values[index]) === fingerprint)) {
+          index = values.findIndex((row, i) => holdsSurvivor(i) && fingerprintOf(row) === fingerprint);
+        }
+        if (index === -1) {
+          missing.push(`"${sheetName}" row ${rowNumber} was edited or deleted`);
+          return;
+        }
+        used.add(index);
+        plans.push({ sheet: sheet, rowNumber: index + 1, column: column });
+      });
+    });
+
+    if (missing.length > 0) {
+      throw new Error(`reverseMerge: Merge ${mergeId} cannot be undone safely because rows changed since the merge ` +
+        `(${missing.slice(0, 10).join("; ")}${missing.length > 10 ? `; and ${missing.length - 10} more` : ""}). ` +
+        `Nothing was restored. Fix these rows by hand.`);
+    }
+
+    plans.forEach(plan => plan.sheet.getRange(plan.rowNumber, plan.column).setValue(merged));
+    restored = plans.length;
+    if (restored > 0) invalidateStatsCache();
+
+    const aliasSheet = ss.getSheetByName(PERSON_ALIASES_SHEET_NAME);
+    if (aliasSheet && aliasSheet.getLastRow() >= 2) {
+      const mergeIds = aliasSheet.getRange(2, 4, aliasSheet.getLastRow() - 1, 1).getValues();
+      for (let i = mergeIds.length - 1; i >= 0; i--) {
+        if (String(mergeIds[i][0]) === String(mergeId)) aliasSheet.deleteRow(i + 2);
+      }
+    }
+
+    logSheet.getRange(logIndex + 2, MERGE_LOG_STATUS_COL, 1, 3).setValues([["Reversed", new Date(), getActiveUserEmail()]]);
+    SpreadsheetApp.flush();
+  } finally {
+    lock.releaseLock();
+  }
+
+  Logger.log(`✅ reverseMerge: Merge ${mergeId} reversed. ${restored} cell(s) restored to ID ${merged}.`);
+  return restored;
+}
+
+/**
+ * Opens the external Directory spreadsheet configured in Script Properties.
+ * @return {GoogleAppsScript.Spreadsheet.Spreadsheet|null} The Directory spreadsheet, or null if unavailable.
+ */
+function openDirectorySpreadsheetForMerge() {
+  const directoryId = PropertiesService.getScriptProperties().getProperty('DIRECTORY_SPREADSHEET_ID');
+  if (!directoryId) {
+    Logger.log("⚠️ DIRECTORY_SPREADSHEET_ID is not set. The Directory will not be updated by merges.");
+    return null;
+  }
+  try {
+    return SpreadsheetApp.openById(directoryId);
+  } catch (err) {
+    Logger.log(`❌ Could not open Directory spreadsheet ${directoryId}: ${err.message}`);
+    return null;
+  }
+}
+
+/**
+ * Loads the "Person Aliases" sheet into lookup helpers.
+ * resolveId follows alias chains (A merged into B, B merged into C resolves A to C).
+ * idForName returns the survivor ID recorded for a merged person's name, or null.
+ * @return {{resolveId: function(any): string, idForName: function(any): (string|null), size: number}}
+ */
+function loadPersonAliases() {
+  const idToSurvivor = new Map();
+  const nameToSurvivor = new Map();
+
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(PERSON_ALIASES_SHEET_NAME);
+  if (sheet && sheet.getLastRow() >= 2) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, 3).getValues().forEach(row => {
+      const aliasId = String(row[0]).trim();
+      const aliasName = personNameKey(row[1]);
+      const survivorId = String(row[2]).trim();
+      if (!survivorId) return;
+      if (aliasId) idToSurvivor.set(aliasId, survivorId);
+      if (aliasName) nameToSurvivor.set(aliasName, survivorId);
+    });
+  }
+
+  const resolveId = id => {
+    let current = String(id === null || id === undefined ? "" : id).trim();
+    const seen = new Set();
+    while (idToSurvivor.has(current) && !seen.has(current)) {
+      seen.add(current);
+      current = idToSurvivor.get(current);
+    }
+    return current;
+  };
+
+  return {
+    resolveId: resolveId,
+    idForName: name => {
+      const survivorId = nameToSurvivor.get(personNameKey(name));
+      return survivorId ? resolveId(survivorId) : null;
+    },
+    aliasNameKeys: Array.from(nameToSurvivor.keys()),
+    size: idToSurvivor.size
+  };
+}
+
+/**
+ * Rewrites the values of a name -> ID map so merged IDs point at their survivors, and adds
+ * the alias names of merged people that are not in the map yet.
+ * @param {Map<string, string|number>} nameIdMap Map keyed by personNameKey.
+ * @param {Object} aliases Output of loadPersonAliases().
+ * @param {boolean} [numericIds] True if the map stores IDs as numbers (matchOrAssignBelCodes).
+ */
+function applyPersonAliasesToNameMap(nameIdMap, aliases, numericIds) {
+  if (!aliases || aliases.size === 0) return;
+  const toMapValue = id => numericIds ? Number(id) : String(id);
+  nameIdMap.forEach((id, nameKey) => {
+    const aliasedId = aliases.idForName(nameKey) || aliases.resolveId(id);
+    if (aliasedId !== String(id).trim()) {
+      nameIdMap.set(nameKey, toMapValue(aliasedId));
+    }
+  });
+  aliases.aliasNameKeys.forEach(nameKey => {
+    if (!nameIdMap.has(nameKey)) nameIdMap.set(nameKey, toMapValue(aliases.idForName(nameKey)));
+  });
+}
+
+/**
+ * Menu handler: prompts for the surviving ID and the ID to merge, confirms, then merges.
+ */
+function promptMergePeople() {
+  const ui = SpreadsheetApp.getUi();
+  const survivorResponse = ui.prompt('Merge People', 'Enter the person ID to KEEP (the surviving ID):', ui.ButtonSet.OK_CANCEL);
+  if (survivorResponse.getSelectedButton() !== ui.Button.OK) return;
+  const mergedResponse = ui.prompt('Merge People', 'Enter the person ID to MERGE INTO it (this ID will disappear):', ui.ButtonSet.OK_CANCEL);
+  if (mergedResponse.getSelectedButton() !== ui.Button.OK) return;
+
+  const survivorId = survivorResponse.getResponseText().trim();
+  const mergedId = mergedResponse.getResponseText().trim();
+  if (!survivorId || !mergedId || survivorId === mergedId) {
+    ui.alert('Input Error', 'Please enter two different person IDs.', ui.ButtonSet.OK);
+    return;
+  }
+
+  const people = collectKnownPeople();
+  const survivorName = people.has(survivorId) ? people.get(survivorId).fullName : "(not found)";
+  const mergedName = people.has(mergedId) ? people.get(mergedId).fullName : "(not found)";
+  const confirm = ui.alert(
+    'Confirm Merge',
+    `Keep ID ${survivorId} (${survivorName}) and merge ID ${mergedId} (${mergedName}) into it?\n\n` +
+    'Every Column A reference in Sunday Service, Service Attendance, Event Attendance, Sunday Registration and the Directory (including its staging tab) will be rewritten.',
+    ui.ButtonSet.YES_NO
+  );
+  if (confirm !== ui.Button.YES) return;
+
+  try {
+    const result = mergePersonIds(survivorId, mergedId, "Merged from menu");
+    ui.alert('Merge Complete', `Merge ${result.mergeId}: ${result.cellsChanged} cell(s) changed.`, ui.ButtonSet.OK);
+  } catch (error) {
+    Logger.log(`❌ Error merging ${mergedId} into ${survivorId}: ${error.message}`);
+    ui.alert('Merge Failed', error.message, ui.ButtonSet.OK);
+  }
+}
+
+/**
+ * Menu handler: merges every "Approved" pair on the "Possible Duplicates" sheet.
+ * The survivor is the ID found in the Directory, or the lower ID when both or neither are.
+ * Merged pairs are marked "Merged".
+ */
+function mergeApprovedDuplicates() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(POSSIBLE_DUPLICATES_SHEET_NAME);
+  if (!sheet || sheet.getLastRow() < 2) {
+    ui.alert('Nothing to Merge', `No pairs found on '${POSSIBLE_DUPLICATES_SHEET_NAME}'.`, ui.ButtonSet.OK);
+    return;
+  }
+
+  const directoryIds = new Set();
+  getDirectoryDataMap().forEach(entry => directoryIds.add(String(entry.id)));
+
+  const rows = sheet.getRange(2, 1, sheet.getLastRow() - 1, POSSIBLE_DUPLICATES_HEADERS.length).getValues();
+  let mergedCount = 0;
+  const failures = [];
+  rows.forEach((row, index) => {
+    if (row[DUPLICATE_STATUS_COL - 1] !== "Approved") return;
+    const idA = String(row[2]).trim();
+    const idB = String(row[4]).trim();
+    const aInDirectory = directoryIds.has(idA);
+    const bInDirectory = directoryIds.has(idB);
+    let survivorId = Number(idA) <= Number(idB) ? idA : idB;
+    if (aInDirectory !== bInDirectory) survivorId = aInDirectory ? idA : idB;
+    const mergedId = survivorId === idA ? idB : idA;
+
+    try {
+      mergePersonIds(survivorId, mergedId, `Approved duplicate pair ${row[0]}`);
+      sheet.getRange(index + 2, DUPLICATE_STATUS_COL).setValue("Merged");
+      mergedCount++;
+    } catch (error) {
+      Logger.log(`❌ Error merging approved pair ${row[0]}: ${error.message}`);
+      failures.push(`${row[0]}: ${error.message}`);
+    }
+  });
+
+  ui.alert(
+    'Approved Duplicates Merged',
+    `${mergedCount} pair(s) merged.` + (failures.length > 0 ? `\n\nFailed:\n${failures.join("\n")}` : ""),
+    ui.ButtonSet.OK
+  );
+}
+
+/**
+ * Menu handler: reverses the merge on the selected row of the "Merge Log" sheet.
+ */
+function undoSelectedMerge() {
+  const ui = SpreadsheetApp.getUi();
+  const sheet = SpreadsheetApp.getActiveSheet();
+  if (sheet.getName() !== MERGE_LOG_SHEET_NAME || sheet.getActiveRange().getRow() < 2) {
+    ui.alert('Wrong Selection', `Select the merge to undo on the '${MERGE_LOG_SHEET_NAME}' sheet first.`, ui.ButtonSet.OK);
+    return;
+  }
+  const mergeId = String(sheet.getRange(sheet.getActiveRange().getRow(), 1).getValue());
+  const confirm = ui.alert('Undo Merge', `Reverse merge ${mergeId}?`, ui.ButtonSet.YES_NO);
+  if (confirm !== ui.Button.YES) return;
+
+  try {
+    const restored = reverseMerge(mergeId);
+    ui.alert('Merge Reversed', `${restored} cell(s) restored.`, ui.ButtonSet.OK);
+  } catch (error) {
+    Logger.log(`❌ Error reversing merge ${mergeId}: ${error.message}`);
+    ui.alert('Undo Failed', error.message, ui.ButtonSet.OK);
+  }
+}
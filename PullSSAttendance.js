@@ -100,6 +100,9 @@ function pullSundayServiceToServiceAttendance() {
     Logger.log(`✅ Successfully added ${newEntries.length} new entries to 'Service Attendance'.`);
     Logger.log(`ℹ️ Skipped ${skippedCount} duplicate entries.`);
 
+    // First-time visitors go into the Welcome Pipeline (WelcomePipeline.js)
+    queueWelcomeForNewServiceEntries(newEntries, "Sunday Service form");
+
     if (SpreadsheetApp.getUi()) { // Check if UI context exists
       SpreadsheetApp.getUi().alert(
         'Transfer Complete!',
@@ -263,6 +266,9 @@ function onFormSubmitTransfer(e) {
 
     serviceAttendanceSheet.getRange(targetRow, 1, 1, newEntry.length).setValues([newEntry]);
     Logger.log(`✅ Auto-transferred new form submission for '${fullName}' (ID: ${personalId}) from '${sheet.getName()}' to 'Service Attendance' sheet, row ${targetRow}.`);
+
+    // A "Yes" in First Time (or no earlier attendance) starts the welcome workflow (WelcomePipeline.js)
+    queueWelcomeForNewServiceEntries([newEntry], "Sunday Service form");
 }
 
 /**
@@ -0,0 +1,109 @@
+/**
+ * Reporting Periods
+ * Named reporting windows (rolling weeks, calendar periods, a ministry year with any start month,
+ * or fixed date ranges) defined on the "Reporting Periods" settings sheet.
+ * calculateAttendanceStats counts each person's unique events in every enabled window, and
+ * updateAttendanceStatsSheet writes one column per window to "Attendance Stats", starting at Column M.
+ */
+
+const REPORTING_PERIODS_SHEET_NAME = "Reporting Periods";
+const REPORTING_PERIODS_HEADERS = ["Period Name", "Type", "Length", "Start Month", "Start Date", "End Date", "Enabled"];
+const REPORTING_PERIOD_TYPES = ["Rolling Weeks", "Rolling Days", "Calendar Month", "Calendar Quarter", "Calendar Year", "Ministry Year", "Fixed Dates"];
+const REPORTING_PERIODS_DEFAULT_ROWS = [
+  ["Rolling 4 Weeks", "Rolling Weeks", 4, "", "", "", true],
+  ["Rolling 13 Weeks", "Rolling Weeks", 13, "", "", "", true],
+  ["Ministry Year", "Ministry Year", "", 9, "", "", true]
+];
+const ATTENDANCE_STATS_PERIOD_START_COL = 13; // Column M: first reporting period column (1-based)
+
+/**
+ * Reads the enabled reporting periods from the "Reporting Periods" sheet (created with defaults if missing).
+ * Rows with an unknown type or missing length/start month are skipped with a warning.
+ * @return {Array<{name: string, type: string, length: number, startMonth: number, startDate: (Date|null), endDate: (Date|null)}>}
+ */
+function getReportingPeriods() {
+  const periods = [];
+  readSettingsSheet(REPORTING_PERIODS_SHEET_NAME, REPORTING_PERIODS_HEADERS, REPORTING_PERIODS_DEFAULT_ROWS).forEach(setting => {
+    if (!isSettingEnabled(setting["Enabled"])) return;
+    const name = String(setting["Period Name"]).trim();
+    const type = REPORTING_PERIOD_TYPES.find(t => t.toLowerCase() === String(setting["Type"] || "").trim().toLowerCase());
+    const period = {
+      name: name,
+      type: type,
+      length: parseInt(setting["Length"], 10),
+      startMonth: parseInt(setting["Start Month"], 10),
+      startDate: setting["Start Date"] instanceof Date ? setting["Start Date"] : null,
+      endDate: setting["End Date"] instanceof Date ? setting["End Date"] : null
+    };
+
+    let problem = "";
+    if (!type) problem = `unknown type "${setting["Type"]}" (expected one of: ${REPORTING_PERIOD_TYPES.join(", ")})`;
+    else if ((type === "Rolling Weeks" || type === "Rolling Days") && !(period.length > 0)) problem = "Length must be a positive number";
+    else if (type === "Ministry Year" && !(period.startMonth >= 1 && period.startMonth <= 12)) problem = "Start Month must be 1-12";
+    else if (type === "Fixed Dates" && (!period.startDate || !period.endDate)) problem = "Start Date and End Date are required";
+    if (problem) {
+      Logger.log(`⚠️ Reporting period "${name}" skipped: ${problem}.`);
+      return;
+    }
+    periods.push(period);
+  });
+  return periods;
+}
+
+/**
+ * Works out the date window a reporting period covers.
+ * @param {Object} period A period from getReportingPeriods().
+ * @param {Date} asOf The date the report is for (normally now).
+ * @return {{start: Date, end: Date}} The window; start is inclusive and end is exclusive.
+ *   Boundaries are midnights in the congregation time zone (see DateUtils.js).
+ */
+function getReportingPeriodWindow(period, asOf) {
+  const { year, month, day } = getDateParts(asOf);
+  const endOfAsOfDay = calendarDate(year, month, day + 1);
+
+  switch (period.type) {
+    case "Rolling Weeks":
+      return { start: calendarDate(year, month, day + 1 - period.length * 7), end: endOfAsOfDay };
+    case "Rolling Days":
+      return { start: calendarDate(year, month, day + 1 - period.length), end: endOfAsOfDay };
+    case "Calendar Month":
+      return { start: calendarDate(year, month, 1), end: calendarDate(year, month + 1, 1) };
+    case "Calendar Quarter": {
+      const quarterStartMonth = Math.floor(month / 3) * 3;
+      return { start: calendarDate(year, quarterStartMonth, 1), end: calendarDate(year, quarterStartMonth + 3, 1) };
+    }
+    case "Calendar Year":
+      return { start: calendarDate(year, 0, 1), end: calendarDate(year + 1, 0, 1) };
+    case "Ministry Year": {
+      const startMonthIndex = period.startMonth - 1;
+      const startYear = month >= startMonthIndex ? year : year - 1;
+      return { start: calendarDate(startYear, startMonthIndex, 1), end: calendarDate(startYear + 1, startMonthIndex, 1) };
+    }
+    case "Fixed Dates":
+      return { start: startOfDay(period.startDate), end: addDays(period.endDate, 1) };
+    default:
+      throw new Error(`getReportingPeriodWindow: Unknown period type "${period.type}".`);
+  }
+}
+
+/**
+ * Writes the reporting period counts to "Attendance Stats" (or a dated copy), one column per period from Column M.
+ * Columns from M to the right are managed by this function and cleared first, so removed periods disappear.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The "Attendance Stats" sheet or a dated copy of it.
+ * @param {Array<string>} periodNames The period names, used as headers.
+ * @param {Array<Array<number>>} periodCounts One row of counts per stats row, in periodNames order.
+ */
+function writeReportingPeriodColumns(sheet, periodNames, periodCounts) {
+  const lastCol = sheet.getLastColumn();
+  const lastRow = Math.max(sheet.getLastRow(), 1);
+  if (lastCol >= ATTENDANCE_STATS_PERIOD_START_COL) {
+    sheet.getRange(1, ATTENDANCE_STATS_PERIOD_START_COL, lastRow, lastCol - ATTENDANCE_STATS_PERIOD_START_COL + 1).clearContent();
+  }
+  if (periodNames.length === 0) return;
+
+  sheet.getRange(1, ATTENDANCE_STATS_PERIOD_START_COL, 1, periodNames.length).setValues([periodNames]).setFontWeight("bold");
+  if (periodCounts.length > 0) {
+    sheet.getRange(2, ATTENDANCE_STATS_PERIOD_START_COL, periodCounts.length, periodNames.length).setValues(periodCounts);
+  }
+  Logger.log(`✅ Wrote ${periodNames.length} reporting period column(s) to '${sheet.getName()}': ${periodNames.join(", ")}.`);
+}
@@ -0,0 +1,160 @@
+/**
+ * Segments
+ * Lets admins slice the stats by any Directory column (small group, region, membership status, ...).
+ * The columns to use are listed on the "Segment Dimensions" settings sheet. Attendance Stats gets one
+ * column per dimension after the Sunday streaks, and the "Segment Summary" sheet shows, per dimension
+ * and value, how many people there are, how much they attend and how many are at each activity level.
+ */
+
+const SEGMENT_DIMENSIONS_SHEET_NAME = "Segment Dimensions";
+const SEGMENT_DIMENSIONS_HEADERS = ["Directory Column", "Label", "Enabled"];
+const SEGMENT_DIMENSIONS_DEFAULT_ROWS = [
+  ["Small Group", "Small Group", true],
+  ["Region", "Region", true],
+  ["Membership Status", "Membership Status", true]
+];
+const SEGMENT_SUMMARY_SHEET_NAME = "Segment Summary";
+const SEGMENT_SUMMARY_BASE_HEADERS = ["Dimension", "Segment", "People", "Attended This Quarter", "Events This Quarter", "Events This Month", "Total Events"];
+const SEGMENT_BLANK_VALUE = "(blank)";
+
+/**
+ * Reads the enabled segment dimensions.
+ * @return {Array<{column: string, label: string}>} Directory column header (lower case) and the label shown on reports.
+ */
+function getSegmentDimensions() {
+  return readSettingsSheet(SEGMENT_DIMENSIONS_SHEET_NAME, SEGMENT_DIMENSIONS_HEADERS, SEGMENT_DIMENSIONS_DEFAULT_ROWS)
+    .filter(setting => isSettingEnabled(setting["Enabled"]))
+    .map(setting => {
+      const column = String(setting["Directory Column"]).trim();
+      return { column: column.toLowerCase(), label: String(setting["Label"] || "").trim() || column };
+    });
+}
+
+/**
+ * Maps a Directory row to its values keyed by lower-case header. Used by getDirectoryDataMap.
+ * @param {Array<string>} headers Lower-case Directory headers.
+ * @param {Array<any>} row A Directory row.
+ * @return {Object<string, string>} Header -> trimmed cell value.
+ */
+function directoryRowAttributes(headers, row) {
+  const attributes = {};
+  headers.forEach((header, index) => {
+    if (header && !(header in attributes)) attributes[header] = String(row[index] === null || row[index] === undefined ? "" : row[index]).trim();
+  });
+  return attributes;
+}
+
+/**
+ * Loads every Directory person's segment values.
+ * @param {Array<Object>} dimensions Output of getSegmentDimensions().
+ * @return {{valuesFor: function(string, string): Array<string>}} valuesFor(personId, fullName) returns one value per
+ *   dimension (SEGMENT_BLANK_VALUE when empty or when the person is not in the Directory). Lookup is by ID, then by name.
+ */
+function loadPersonSegments(dimensions) {
+  const aliases = loadPersonAliases();
+  const byId = new Map();
+  const byName = new Map();
+  const missingColumns = new Set(dimensions.map(dimension => dimension.column));
+
+  getDirectoryDataMap().forEach((entry, nameKey) => {
+    const attributes = entry.attributes || {};
+    const values = dimensions.map(dimension => {
+      if (dimension.column in attributes) missingColumns.delete(dimension.column);
+      return attributes[dimension.column] || SEGMENT_BLANK_VALUE;
+    });
+    byId.set(aliases.resolveId(entry.id), values);
+    byName.set(nameKey, values);
+  });
+  if (byName.size > 0) {
+    missingColumns.forEach(column => Logger.log(`⚠️ Segment dimension "${column}" is not a Directory column. Check '${SEGMENT_DIMENSIONS_SHEET_NAME}'.`));
+  }
+
+  const blank = dimensions.map(() => SEGMENT_BLANK_VALUE);
+  return {
+    valuesFor: (personId, fullName) =>
+      byId.get(aliases.resolveId(personId)) || byName.get(personNameKey(fullName)) || blank
+  };
+}
+
+/**
+ * Writes one column per segment dimension to a stats sheet.
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet "Attendance Stats" or a dated copy.
+ * @param {number} startCol 1-based column for the first dimension (right after the streak columns).
+ * @param {Array<Object>} dimensions Output of getSegmentDimensions().
+ * @param {Array<Array<string>>} segmentRows One row of segment values per stats row.
+ */
+function writeSegmentColumns(sheet, startCol, dimensions, segmentRows) {
+  if (dimensions.length === 0) return;
+  sheet.getRange(1, startCol, 1, dimensions.length).setValues([dimensions.map(dimension => dimension.label)]).setFontWeight("bold");
+  if (segmentRows.length > 0) {
+    sheet.getRange(2, startCol, segmentRows.length, dimensions.length).setValues(segmentRows);
+  }
+  Logger.log(`✅ Wrote ${dimensions.length} segment column(s) to '${sheet.getName()}'.`);
+}
+
+/**
+ * Rebuilds the "Segment Summary" sheet from "Attendance Stats" (Columns A-K) and the Directory.
+ * Each person counts once in every dimension, under their value for it.
+ */
+function updateSegmentSummarySheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const statsSheet = ss.getSheetByName("Attendance Stats");
+  if (!statsSheet || statsSheet.getLastRow() < 2) {
+    Logger.log("❌ 'Attendance Stats' sheet not found or empty. Segment Summary not built.");
+    return;
+  }
+  const dimensions = getSegmentDimensions();
+  if (dimensions.length === 0) {
+    Logger.log(`ℹ️ No segment dimensions enabled on '${SEGMENT_DIMENSIONS_SHEET_NAME}'. Segment Summary not built.`);
+    return;
+  }
+
+  const segments = loadPersonSegments(dimensions);
+  const statsRows = statsSheet.getRange(2, 1, statsSheet.getLastRow() - 1, ATTENDANCE_STATS_ACTIVITY_COL).getValues()
+    .filter(row => String(row[0]).trim() !== "" || String(row[1]).trim() !== "");
+
+  // "dimension index|value" -> totals
+  const totals = new Map();
+  const levelsSeen = new Set();
+  statsRows.forEach(row => {
+    const level = String(row[ATTENDANCE_STATS_ACTIVITY_COL - 1] || "").trim() || "(none)";
+    levelsSeen.add(level);
+    segments.valuesFor(row[0], row[1]).forEach((value, dimensionIndex) => {
+      const key = `${dimensionIndex}|${value}`;
+      if (!totals.has(key)) {
+        totals.set(key, { dimensionIndex: dimensionIndex, value: value, people: 0, attendedQuarter: 0, quarter: 0, month: 0, total: 0, levels: new Map() });
+      }
+      const segment = totals.get(key);
+      segment.people++;
+      if (Number(row[4]) > 0) segment.attendedQuarter++;
+      segment.quarter += Number(row[4]) || 0;
+      segment.month += Number(row[5]) || 0;
+      segment.total += Number(row[9]) || 0;
+      segment.levels.set(level, (segment.levels.get(level) || 0) + 1);
+    });
+  });
+
+  const levels = ACTIVITY_LEVEL_ORDER.filter(l => levelsSeen.has(l))
+    .concat(Array.from(levelsSeen).filter(l => ACTIVITY_LEVEL_ORDER.indexOf(l) === -1).sort());
+  const headers = SEGMENT_SUMMARY_BASE_HEADERS.concat(levels);
+  const output = Array.from(totals.values())
+    .sort((a, b) => a.dimensionIndex - b.dimensionIndex || b.people - a.people || a.value.localeCompare(b.value))
+    .map(segment => [
+      dimensions[segment.dimensionIndex].label,
+      segment.value,
+      segment.people,
+      segment.attendedQuarter,
+      segment.quarter,
+      segment.month,
+      segment.total
+    ].concat(levels.map(level => segment.levels.get(level) || 0)));
+
+  const sheet = getOrCreateSheet(ss, SEGMENT_SUMMARY_SHEET_NAME, null);
+  sheet.clearContents();
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold");
+  sheet.setFrozenRows(1);
+  if (output.length > 0) {
+    sheet.getRange(2, 1, output.length, headers.length).setValues(output);
+  }
+  Logger.log(`✅ '${SEGMENT_SUMMARY_SHEET_NAME}' rebuilt: ${output.length} segment value(s) across ${dimensions.length} dimension(s).`);
+}
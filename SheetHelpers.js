@@ -0,0 +1,79 @@
+/**
+ * Small shared helpers for sheets that the scripts create and maintain themselves
+ * (ledgers, review queues, generated reports).
+ */
+
+/**
+ * Returns the named sheet, creating it with a bold, frozen header row if it does not exist yet.
+ * If the sheet exists but is completely empty, the header row is written.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} spreadsheet The spreadsheet to look in.
+ * @param {string} sheetName The name of the sheet.
+ * @param {Array<string>} headers Header labels for row 1.
+ * @return {GoogleAppsScript.Spreadsheet.Sheet} The existing or newly created sheet.
+ */
+function getOrCreateSheet(spreadsheet, sheetName, headers) {
+  let sheet = spreadsheet.getSheetByName(sheetName);
+  if (!sheet) {
+    sheet = spreadsheet.insertSheet(sheetName);
+    Logger.log(`✅ Created sheet "${sheetName}".`);
+  }
+  if (headers && headers.length > 0 && sheet.getLastRow() === 0) {
+    sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold");
+    sheet.setFrozenRows(1);
+  }
+  return sheet;
+}
+
+/**
+ * Returns the email of the user running the script, or "" when it is not available
+ * (e.g. simple triggers or accounts outside the domain).
+ * @return {string} The active user's email or an empty string.
+ */
+function getActiveUserEmail() {
+  try {
+    return Session.getActiveUser().getEmail() || "";
+  } catch (err) {
+    return "";
+  }
+}
+
+/**
+ * Reads a settings table (header row plus one row per setting) from the active spreadsheet.
+ * If the sheet does not exist it is created with the given headers and default rows, so the
+ * defaults are visible and editable. Rows with a blank first cell are ignored.
+ * @param {string} sheetName The name of the settings sheet.
+ * @param {Array<string>} headers Header labels for row 1.
+ * @param {Array<Array<any>>} defaultRows Rows written when the sheet is first created.
+ * @return {Array<Object>} One object per row, keyed by the labels in headers (by position, so renamed headers still work).
+ */
+function readSettingsSheet(sheetName, headers, defaultRows) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  let sheet = ss.getSheetByName(sheetName);
+  if (!sheet) {
+    sheet = getOrCreateSheet(ss, sheetName, headers);
+    if (defaultRows && defaultRows.length > 0) {
+      sheet.getRange(2, 1, defaultRows.length, headers.length).setValues(defaultRows);
+    }
+    Logger.log(`ℹ️ Settings sheet "${sheetName}" created with ${defaultRows ? defaultRows.length : 0} default row(s).`);
+  }
+
+  const lastRow = sheet.getLastRow();
+  if (lastRow < 2) return [];
+  return sheet.getRange(2, 1, lastRow - 1, headers.length).getValues()
+    .filter(row => String(row[0] || "").trim() !== "")
+    .map(row => {
+      const setting = {};
+      headers.forEach((header, index) => { setting[header] = row[index]; });
+      return setting;
+    });
+}
+
+/**
+ * Interprets a settings cell as an on/off flag. Blank cells count as on.
+ * @param {any} value The cell value (checkbox, "yes"/"no", "true"/"false").
+ * @return {boolean} False only for an unticked checkbox or "no"/"false"/"off"/"0".
+ */
+function isSettingEnabled(value) {
+  if (value === false) return false;
+  return ["no", "false", "off", "0", "n"].indexOf(String(value).trim().toLowerCase()) === -1;
+}
@@ -0,0 +1,139 @@
+/**
+ * Stats Snapshots
+ * Keeps a history of "Attendance Stats": a weekly time-driven trigger appends every person's current
+ * stats, with the snapshot date, to the "Stats Archive" sheet. The "Stats Trend" sheet is built from
+ * those snapshots and shows, per month, how many people were at each activity level.
+ */
+
+const STATS_ARCHIVE_SHEET_NAME = "Stats Archive";
+const STATS_ARCHIVE_HEADERS = ["Snapshot Date", "ID", "Full Name", "This Quarter", "This Month", "Volunteered (Year)", "Last Attended", "Total Events", "Activity Level"];
+const STATS_TREND_SHEET_NAME = "Stats Trend";
+const ACTIVITY_LEVEL_ORDER = ["Core", "Active", "Inactive"]; // Known levels are listed first on the trend sheet
+
+/**
+ * Appends today's "Attendance Stats" to the "Stats Archive" sheet, then rebuilds the trend sheet.
+ * Activity levels are read from Column L as written by the last stats update. Runs at most once per day;
+ * a second run on the same day is skipped.
+ * Intended for the weekly trigger created by setupWeeklyStatsSnapshotTrigger(), but can be run from the menu.
+ */
+function snapshotAttendanceStats() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const statsSheet = ss.getSheetByName("Attendance Stats");
+  if (!statsSheet || statsSheet.getLastRow() < 2) {
+    Logger.log("❌ 'Attendance Stats' sheet not found or empty. No snapshot taken.");
+    return;
+  }
+
+  const archiveSheet = getOrCreateSheet(ss, STATS_ARCHIVE_SHEET_NAME, STATS_ARCHIVE_HEADERS);
+  const snapshotDate = startOfDay(new Date());
+  const snapshotKey = formatCongregationDate(snapshotDate);
+
+  const archiveLastRow = archiveSheet.getLastRow();
+  if (archiveLastRow >= 2) {
+    const lastSnapshot = archiveSheet.getRange(archiveLastRow, 1).getValue();
+    if (lastSnapshot instanceof Date && formatCongregationDate(lastSnapshot) === snapshotKey) {
+      Logger.log(`ℹ️ A stats snapshot for ${snapshotKey} already exists. Skipping.`);
+      return;
+    }
+  }
+
+  // Attendance Stats: A ID, B Full Name, E Quarter, F Month, G Volunteer, H Last Date, J Total, L Activity Level
+  const statsRows = statsSheet.getRange(2, 1, statsSheet.getLastRow() - 1, ATTENDANCE_STATS_ACTIVITY_COL).getValues();
+  const archiveRows = statsRows
+    .filter(row => String(row[0]).trim() !== "" && String(row[1]).trim() !== "")
+    .map(row => [snapshotDate, row[0], row[1], row[4], row[5], row[6], row[7], row[9], row[ATTENDANCE_STATS_ACTIVITY_COL - 1]]);
+
+  if (archiveRows.length === 0) {
+    Logger.log("⚠️ 'Attendance Stats' has no rows with an ID and name. No snapshot taken.");
+    return;
+  }
+  archiveSheet.getRange(archiveLastRow + 1, 1, archiveRows.length, STATS_ARCHIVE_HEADERS.length).setValues(archiveRows);
+  Logger.log(`✅ Stats snapshot ${snapshotKey}: archived ${archiveRows.length} people to '${STATS_ARCHIVE_SHEET_NAME}'.`);
+
+  buildStatsTrend();
+}
+
+/**
+ * Rebuilds the "Stats Trend" sheet from the "Stats Archive". For each month, the last snapshot taken
+ * in that month is used, and the sheet shows the number of people and the count at each activity level.
+ */
+function buildStatsTrend() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const archiveSheet = ss.getSheetByName(STATS_ARCHIVE_SHEET_NAME);
+  if (!archiveSheet || archiveSheet.getLastRow() < 2) {
+    Logger.log(`❌ '${STATS_ARCHIVE_SHEET_NAME}' has no snapshots yet. Trend not built.`);
+    return;
+  }
+
+  const rows = archiveSheet.getRange(2, 1, archiveSheet.getLastRow() - 1, STATS_ARCHIVE_HEADERS.length).getValues();
+
+  // Month (yyyy-MM) -> latest snapshot date in that month
+  const latestSnapshotByMonth = new Map();
+  rows.forEach(row => {
+    if (!(row[0] instanceof Date)) return;
+    const monthKey = formatCongregationDate(row[0], "yyyy-MM");
+    const current = latestSnapshotByMonth.get(monthKey);
+    if (!current || row[0].getTime() > current.getTime()) latestSnapshotByMonth.set(monthKey, row[0]);
+  });
+
+  // Month -> { people, levels: Map(level -> count) }, counting only the month's latest snapshot
+  const levelsSeen = new Set();
+  const monthStats = new Map();
+  rows.forEach(row => {
+    if (!(row[0] instanceof Date)) return;
+    const monthKey = formatCongregationDate(row[0], "yyyy-MM");
+    if (latestSnapshotByMonth.get(monthKey).getTime() !== row[0].getTime()) return;
+    if (!monthStats.has(monthKey)) monthStats.set(monthKey, { people: 0, levels: new Map() });
+    const stats = monthStats.get(monthKey);
+    stats.people++;
+    const level = String(row[8] || "").trim() || "(none)";
+    levelsSeen.add(level);
+    stats.levels.set(level, (stats.levels.get(level) || 0) + 1);
+  });
+
+  const levels = ACTIVITY_LEVEL_ORDER.filter(level => levelsSeen.has(level))
+    .concat(Array.from(levelsSeen).filter(level => ACTIVITY_LEVEL_ORDER.indexOf(level) === -1).sort());
+  const headers = ["Month", "Snapshot Used", "People"].concat(levels);
+  const output = Array.from(monthStats.keys()).sort().map(monthKey => {
+    const stats = monthStats.get(monthKey);
+    return [monthKey, latestSnapshotByMonth.get(monthKey), stats.people].concat(levels.map(level => stats.levels.get(level) || 0));
+  });
+
+  const trendSheet = getOrCreateSheet(ss, STATS_TREND_SHEET_NAME, null);
+  trendSheet.clearContents();
+  trendSheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold");
+  trendSheet.setFrozenRows(1);
+  if (output.length > 0) {
+    trendSheet.getRange(2, 1, output.length, headers.length).setValues(output);
+    trendSheet.getRange(2, 2, output.length, 1).setNumberFormat("MM/dd/yyyy");
+  }
+  Logger.log(`✅ '${STATS_TREND_SHEET_NAME}' rebuilt with ${output.length} month(s).`);
+}
+
+/**
+ * Creates (or re-creates) the weekly time-driven trigger for snapshotAttendanceStats.
+ * Runs every Monday early in the morning, after the weekend's attendance has been recorded.
+ */
+function setupWeeklyStatsSnapshotTrigger() {
+  const ui = SpreadsheetApp.getUi();
+
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === 'snapshotAttendanceStats') {
+      ScriptApp.deleteTrigger(trigger);
+      Logger.log("Removed existing 'snapshotAttendanceStats' trigger.");
+    }
+  });
+
+  ScriptApp.newTrigger('snapshotAttendanceStats')
+    .timeBased()
+    .onWeekDay(ScriptApp.WeekDay.MONDAY)
+    .atHour(5)
+    .create();
+
+  Logger.log("✅ Weekly trigger created for 'snapshotAttendanceStats'.");
+  ui.alert(
+    'Trigger Created!',
+    `Attendance Stats will be archived to '${STATS_ARCHIVE_SHEET_NAME}' every Monday morning.`,
+    ui.ButtonSet.OK
+  );
+}
@@ -117,8 +117,14 @@ function findHighestIdInDirectory() {
       return 0;
     }
     const directorySS = SpreadsheetApp.openById(directoryId);
-    const directorySheet = directorySS.getSheetByName("Directory");
-    if (directorySheet) {
+    // The staging tab holds IDs written back by stageNewPersonInDirectory that office staff have not moved yet.
+    const tabNames = Array.from(new Set(["Directory", getDirectoryStagingTabName()]));
+    tabNames.forEach(tabName => {
+      const directorySheet = directorySS.getSheetByName(tabName);
+      if (!directorySheet) {
+        Logger.log(`⚠️ "${tabName}" sheet not found in the external spreadsheet (for findHighestIdInDirectory).`);
+        return;
+      }
       const lastRow = directorySheet.getLastRow();
       if (lastRow >= 2) {
         const ids = directorySheet.getRange(2, 1, lastRow - 1, 1).getValues();
@@ -129,10 +135,8 @@ function findHighestIdInDirectory() {
           }
         });
       }
-      Logger.log(`Highest ID found in external Directory: ${highestId}`);
-    } else {
-      Logger.log('⚠️ "Directory" sheet not found in the external spreadsheet (for findHighestIdInDirectory).');
-    }
+    });
+    Logger.log(`Highest ID found in external Directory (${tabNames.join(', ')}): ${highestId}`);
   } catch (error) {
     Logger.log(`❌ Error in findHighestIdInDirectory: ${error.message}`);
   }
@@ -162,18 +166,26 @@ function getDirectoryDataMap() {
         if (firstNameColIndex === -1) firstNameColIndex = headers.indexOf("firstname");
         let lastNameColIndex = headers.indexOf("last name");
         if (lastNameColIndex === -1) lastNameColIndex = headers.indexOf("lastname");
+        let phoneColIndex = headers.indexOf("phone");
+        if (phoneColIndex === -1) phoneColIndex = headers.indexOf("phone number");
+        let householdColIndex = headers.indexOf("household id");
+        if (householdColIndex === -1) householdColIndex = headers.indexOf("household");
 
         for (let i = 1; i < directoryValues.length; i++) {
           const row = directoryValues[i];
           const personId = String(row[idColIndex] || "").trim();
           const fullName = String(row[nameColIndex] || "").trim();
-          if (personId && fullName) {
-            const normalizedFullName = fullName.toUpperCase();
+          const normalizedFullName = personNameKey(fullName);
+          if (personId && normalizedFullName) {
             directoryDataMap.set(normalizedFullName, {
               id: personId,
+              fullName: fullName,
               email: emailColIndex !== -1 ? String(row[emailColIndex] || "").trim() : "",
+              phone: phoneColIndex !== -1 ? String(row[phoneColIndex] || "").trim() : "",
               firstName: firstNameColIndex !== -1 ? String(row[firstNameColIndex] || "").trim() : "",
-              lastName: lastNameColIndex !== -1 ? String(row[lastNameColIndex] || "").trim() : ""
+              lastName: lastNameColIndex !== -1 ? String(row[lastNameColIndex] || "").trim() : "",
+              householdId: householdColIndex !== -1 ? String(row[householdColIndex] || "").trim() : "",
+              attributes: directoryRowAttributes(headers, row) // Every column by lower-case header, for segments
             });
           }
         }
@@ -211,8 +223,8 @@ function getLocalSheetIdMap(sheetName, idColNum = 1, nameColNum = 2) {
         const row = data[i];
         const personId = String(row[idColNum - 1] || "").trim();
         const fullName = String(row[nameColNum - 1] || "").trim();
-        if (personId && fullName) {
-          localIdMap.set(fullName.toUpperCase(), personId);
+        if (personId && personNameKey(fullName)) {
+          localIdMap.set(personNameKey(fullName), personId);
         }
       }
     }
@@ -246,22 +258,17 @@ function populateRegistrationList(regSheet = null) {
   }
   const eventAttendanceIdMap = getLocalSheetIdMap("Event Attendance", 1, 2);
   const sundayServiceIdMap = getLocalSheetIdMap("Sunday Service", 1, 2);
+  const aliases = loadPersonAliases();
 
-  // --- MODIFIED LOGIC START ---
-  // Start with the highest ID from the Directory. If directory ID is not available or 0,
-  // then check local sheets.
-  let nextGeneratedId = findHighestIdInDirectory();
-  if (nextGeneratedId === 0) {
-    nextGeneratedId = findHighestIdInLocalSheets(LOCAL_ID_SHEETS);
-  }
-  // --- MODIFIED LOGIC END ---
-
-  Logger.log(`Initial base for nextGeneratedId (starting with Directory, then local): ${nextGeneratedId}`);
+  // Highest ID already in use, scanned once and handed to the allocator with the new people of this run.
+  const highestExistingId = Math.max(findHighestIdInDirectory(), findHighestIdInLocalSheets(LOCAL_ID_SHEETS));
+  Logger.log(`Highest existing ID across Directory and local sheets: ${highestExistingId}`);
 
   const activeMembersData = [];
   const today = new Date();
   const threeMonthsAgo = new Date(today.getTime() - (90 * 24 * 60 * 60 * 1000));
-  const processedNewPersonsInThisRun = new Map();
+  const newPeople = []; // { person, rowIndexes }: people without an ID, allocated in one batch after the loop
+  const newPersonByName = new Map(); // normalized name -> entry of newPeople
 
   for (let i = 1; i < statsData.length; i++) {
     const statsRow = statsData[i];
@@ -270,22 +277,12 @@ function populateRegistrationList(regSheet = null) {
     let lastNameFromStats = String(statsRow[3] || "").trim();
     const month = statsRow[5];
     const lastDateStr = statsRow[7];
-    const activityLevel = statsRow[10];
+    const activityLevel = statsRow[ATTENDANCE_STATS_ACTIVITY_COL - 1];
 
     if (!fullNameFromStats) continue;
 
     let includeMember = false;
-    let lastDate = null;
-    if (lastDateStr) {
-      if (lastDateStr instanceof Date) {
-        lastDate = lastDateStr;
-      } else {
-        try {
-          lastDate = new Date(lastDateStr);
-          if (isNaN(lastDate.getTime())) lastDate = null;
-        } catch (e) { lastDate = null; }
-      }
-    }
+    const lastDate = toDate(lastDateStr); // Date, serial number or "MM/dd/yyyy" text (DateUtils.js)
     if (activityLevel === "Core" || activityLevel === "Active") { includeMember = true; }
     else if (activityLevel === "Inactive" && lastDate && lastDate > threeMonthsAgo) { includeMember = true; }
     else if (month > 0) { includeMember = true; }
@@ -294,12 +291,12 @@ function populateRegistrationList(regSheet = null) {
       let personId;
       let finalFirstName = firstNameFromStats;
       let finalLastName = lastNameFromStats;
-      const normalizedFullName = fullNameFromStats.toUpperCase();
+      const normalizedFullName = personNameKey(fullNameFromStats);
 
       const directoryEntry = directoryMap.get(normalizedFullName);
       const eventEntryId = eventAttendanceIdMap.get(normalizedFullName);
       const serviceEntryId = sundayServiceIdMap.get(normalizedFullName);
-      const alreadyProcessedNew = processedNewPersonsInThisRun.get(normalizedFullName);
+      const alreadyProcessedNew = normalizedFullName ? newPersonByName.get(normalizedFullName) : null;
 
       if (directoryEntry && directoryEntry.id) {
         personId = directoryEntry.id;
@@ -309,27 +306,34 @@ function populateRegistrationList(regSheet = null) {
         personId = eventEntryId;
       } else if (serviceEntryId) {
         personId = serviceEntryId;
+      } else if (aliases.idForName(fullNameFromStats)) {
+        personId = aliases.idForName(fullNameFromStats);
       } else if (alreadyProcessedNew) {
-        personId = alreadyProcessedNew.id;
-        finalFirstName = alreadyProcessedNew.firstName;
-        finalLastName = alreadyProcessedNew.lastName;
+        alreadyProcessedNew.rowIndexes.push(activeMembersData.length);
+        activeMembersData.push(["", fullNameFromStats, alreadyProcessedNew.person.firstName, alreadyProcessedNew.person.lastName, false]);
+        continue;
       } else {
-        nextGeneratedId++;
-        personId = String(nextGeneratedId);
-        processedNewPersonsInThisRun.set(normalizedFullName, { id: personId, firstName: finalFirstName, lastName: finalLastName });
-        directoryMap.set(normalizedFullName, {
-          id: personId,
-          email: "",
-          firstName: finalFirstName,
-          lastName: finalLastName
-        });
-        Logger.log(`Generated new ID ${personId} for ${fullNameFromStats}.`);
+        const entry = { person: { fullName: fullNameFromStats, firstName: finalFirstName, lastName: finalLastName }, rowIndexes: [activeMembersData.length] };
+        newPeople.push(entry);
+        if (normalizedFullName) newPersonByName.set(normalizedFullName, entry);
+        activeMembersData.push(["", fullNameFromStats, finalFirstName, finalLastName, false]);
+        continue;
       }
+      personId = aliases.resolveId(personId); // Merged IDs resolve to their survivor
       activeMembersData.push([personId, fullNameFromStats, finalFirstName, finalLastName, false]);
     }
   }
 
-  activeMembersData.sort((a, b) => (String(a[3]) || "").toLowerCase().localeCompare((String(b[3]) || "").toLowerCase()));
+  // One allocation (one lock, one ledger write, one Directory update) for every new person in the list
+  if (newPeople.length > 0) {
+    const newIds = allocatePersonIds(newPeople.map(entry => entry.person), "Sunday Registration (Refresh List)", highestExistingId);
+    newPeople.forEach((entry, index) => {
+      entry.rowIndexes.forEach(rowIndex => { activeMembersData[rowIndex][0] = String(newIds[index]); });
+      Logger.log(`Allocated new ID ${newIds[index]} for ${entry.person.fullName}.`);
+    });
+  }
+
+  activeMembersData.sort((a, b) => personNameSortKey(a[2], a[3]).localeCompare(personNameSortKey(b[2], b[3])));
 
   const lastDataRowOnSheet = regSheet.getLastRow();
   if (lastDataRowOnSheet > 5) {
@@ -376,7 +380,8 @@ function addPersonToRegistration() {
   const directoryMap = getDirectoryDataMap();
   const eventAttendanceIdMap = getLocalSheetIdMap("Event Attendance", 1, 2);
   const sundayServiceIdMap = getLocalSheetIdMap("Sunday Service", 1, 2);
-  const normalizedFullName = fullNameEntered.toUpperCase();
+  const aliases = loadPersonAliases();
+  const normalizedFullName = personNameKey(fullNameEntered);
 
   let personIdToAdd;
   let firstNameToAdd = "";
@@ -394,31 +399,16 @@ function addPersonToRegistration() {
     personIdToAdd = eventEntryId;
   } else if (serviceEntryId) {
     personIdToAdd = serviceEntryId;
+  } else if (aliases.idForName(fullNameEntered)) {
+    personIdToAdd = aliases.idForName(fullNameEntered);
   } else {
-    // --- MODIFIED LOGIC START ---
-    // Calculate the highest ID from directory first, then local sheets and current registration sheet
-    let currentHighestOverallId = findHighestIdInDirectory();
-    currentHighestOverallId = Math.max(currentHighestOverallId, findHighestIdInLocalSheets(LOCAL_ID_SHEETS));
-
-    if (lastDataRow >= 6) {
-      const currentSheetIds = regSheet.getRange(6, 1, lastDataRow - 5, 1).getValues();
-      currentSheetIds.forEach(row => {
-        const id = parseInt(row[0]);
-        if (!isNaN(id) && id > currentHighestOverallId) {
-          currentHighestOverallId = id;
-        }
-      });
-    }
-    // --- MODIFIED LOGIC END ---
-    currentHighestOverallId++;
-    personIdToAdd = String(currentHighestOverallId);
-    Logger.log(`Generated new ID ${personIdToAdd} for manually added ${fullNameEntered}.`);
+    personIdToAdd = String(allocatePersonId({ fullName: fullNameEntered }, "Sunday Registration (Quick Add)"));
+    Logger.log(`Allocated new ID ${personIdToAdd} for manually added ${fullNameEntered}.`);
   }
+  personIdToAdd = aliases.resolveId(personIdToAdd); // Merged IDs resolve to their survivor
 
   if (!firstNameToAdd && fullNameEntered) {
-    const nameParts = fullNameEntered.split(/\s+/);
-    firstNameToAdd = nameParts[0] || "";
-    lastNameToAdd = nameParts.length > 1 ? nameParts.slice(1).join(" ") : "";
+    ({ firstName: firstNameToAdd, lastName: lastNameToAdd } = splitNameForColumns(fullNameEntered));
   }
 
   const nextSheetRow = (lastDataRow < 5) ? 6 : lastDataRow + 1;
@@ -452,7 +442,8 @@ function addNewMemberToRegistration(memberData) {
   const directoryMap = getDirectoryDataMap();
   const eventAttendanceIdMap = getLocalSheetIdMap("Event Attendance", 1, 2);
   const sundayServiceIdMap = getLocalSheetIdMap("Sunday Service", 1, 2);
-  const normalizedFullName = fullNameFromForm.toUpperCase();
+  const aliases = loadPersonAliases();
+  const normalizedFullName = personNameKey(fullNameFromForm);
 
   let personIdToAdd;
   let firstNameToAdd = String(memberData.firstName || "").trim();
@@ -470,30 +461,20 @@ function addNewMemberToRegistration(memberData) {
     personIdToAdd = eventEntryId;
   } else if (serviceEntryId) {
     personIdToAdd = serviceEntryId;
+  } else if (aliases.idForName(fullNameFromForm)) {
+    personIdToAdd = aliases.idForName(fullNameFromForm);
   } else {
-    // --- MODIFIED LOGIC START ---
-    // Calculate the highest ID from directory first, then local sheets and current registration sheet
-    let currentHighestOverallId = findHighestIdInDirectory();
-    currentHighestOverallId = Math.max(currentHighestOverallId, findHighestIdInLocalSheets(LOCAL_ID_SHEETS));
-
-    if (lastDataRow >= 6) {
-      const currentSheetIds = regSheet.getRange(6, 1, lastDataRow - 5, 1).getValues();
-      currentSheetIds.forEach(row => {
-        const id = parseInt(row[0]);
-        if (!isNaN(id) && id > currentHighestOverallId) {
-          currentHighestOverallId = id;
-        }
-      });
-    }
-    // --- MODIFIED LOGIC END ---
-    currentHighestOverallId++;
-    personIdToAdd = String(currentHighestOverallId);
+    personIdToAdd = String(allocatePersonId({
+      fullName: fullNameFromForm,
+      firstName: firstNameToAdd,
+      lastName: lastNameToAdd,
+      email: memberData.email
+    }, "Sunday Registration (New Member)"));
   }
+  personIdToAdd = aliases.resolveId(personIdToAdd); // Merged IDs resolve to their survivor
 
   if (!firstNameToAdd && fullNameFromForm) {
-    const nameParts = fullNameFromForm.split(/\s+/);
-    firstNameToAdd = nameParts[0] || "";
-    lastNameToAdd = nameParts.length > 1 ? nameParts.slice(1).join(" ") : "";
+    ({ firstName: firstNameToAdd, lastName: lastNameToAdd } = splitNameForColumns(fullNameFromForm));
   }
 
   const newRow = [personIdToAdd, fullNameFromForm, firstNameToAdd, lastNameToAdd, false];
@@ -518,11 +499,8 @@ function submitRegistrationAttendance() {
     return;
   }
 
-  // --- MODIFIED LINE START ---
-  // Get the spreadsheet's timezone to format the date correctly
-  const spreadsheetTimezone = ss.getSpreadsheetTimeZone();
-  const formattedServiceDate = Utilities.formatDate(serviceDateValue, spreadsheetTimezone, "MM/dd/yyyy");
-  // --- MODIFIED LINE END ---
+  // Format in the congregation time zone so every report reads the same service date (DateUtils.js)
+  const formattedServiceDate = formatCongregationDate(serviceDateValue, "MM/dd/yyyy");
 
   regSheet.getRange("D4").setValue("Status: Processing...");
 
@@ -552,7 +530,7 @@ function submitRegistrationAttendance() {
 
       if (isChecked === true && fullName && String(fullName).trim() !== "") {
         let email = "";
-        const normalizedFullName = String(fullName).trim().toUpperCase();
+        const normalizedFullName = personNameKey(fullName);
         const directoryEntry = directoryMap.get(normalizedFullName);
         if (directoryEntry && directoryEntry.email) {
           email = directoryEntry.email;
@@ -591,6 +569,7 @@ function submitRegistrationAttendance() {
 
     regSheet.getRange(6, 5, lastRegDataRow - 5, 1).setValue(false);
     regSheet.getRange("D4").setValue(`Status: ${checkedCount} attendees submitted`);
+    queueWelcomeForNewServiceEntries(attendanceEntries, "Sunday Registration"); // First-timers (WelcomePipeline.js)
     SpreadsheetApp.getUi().alert(
       'Attendance Submitted!',
       `Successfully submitted attendance for ${checkedCount} members to 'Service Attendance' sheet.`,
@@ -629,6 +608,7 @@ function addRegistrationMenu() {
     .addItem('✅ Submit Attendance', 'submitRegistrationAttendance')
     .addItem('🧹 Clear All Checks', 'clearAllChecks')
     .addSeparator()
+    .addItem('👨‍👩‍👧 Check In Whole Household', 'checkInHouseholdOnRegistration')
     .addItem('➕ Add Attendee (Quick Add)', 'addPersonToRegistration')
     .addItem('🔲 Add/Reformat Checkboxes', 'addCheckboxesToRegistration')
     .addItem('🗑️ Remove Attendee', 'removePersonFromRegistration')
@@ -818,8 +798,11 @@ function sortRegistrationByLastName() {
     return;
   }
 
+  // Sort by family name then given name, ignoring suffixes such as "Jr." (NameModel.js)
   const dataRange = regSheet.getRange(6, 1, numDataRows, 5);
-  dataRange.sort({ column: 4, ascending: true });
+  const rows = dataRange.getValues();
+  rows.sort((a, b) => personNameSortKey(a[2], a[3]).localeCompare(personNameSortKey(b[2], b[3])));
+  dataRange.setValues(rows);
   refreshRowFormatting(regSheet, 6, numDataRows);
   SpreadsheetApp.getUi().alert("List sorted by Last Name.");
   Logger.log("✅ Registration list sorted by last name.");
@@ -847,12 +830,37 @@ function onOpen(e) {
     Logger.log("Error during addTransferMenu in onOpen: " + error.message + " Stack: " + error.stack);
   }
 
+  try {
+    addPeopleMenu();
+    Logger.log("Call to addPeopleMenu completed from onOpen.");
+  } catch (error) {
+    Logger.log("Error during addPeopleMenu in onOpen: " + error.message + " Stack: " + error.stack);
+  }
+
+  try {
+    addReportsMenu();
+    Logger.log("Call to addReportsMenu completed from onOpen.");
+  } catch (error) {
+    Logger.log("Error during addReportsMenu in onOpen: " + error.message + " Stack: " + error.stack);
+  }
+
+  try {
+    addFollowUpMenu();
+    Logger.log("Call to addFollowUpMenu completed from onOpen.");
+  } catch (error) {
+    Logger.log("Error during addFollowUpMenu in onOpen: " + error.message + " Stack: " + error.stack);
+  }
+
   try {
     // Check if showDirectoryDialog function exists before trying to add the menu item
     if (typeof showDirectoryDialog === "function") {
       const ui = SpreadsheetApp.getUi();
       ui.createMenu('⚙️ Config')
         .addItem('Set Directory Spreadsheet URL…', 'showDirectoryDialog') // Changed menu text
+        .addItem('Reseed Person ID Counter', 'reseedPersonIdHighWaterMark')
+        .addItem('Set Directory Staging Tab…', 'showDirectoryStagingTabDialog')
+        .addItem('Set Congregation Time Zone…', 'showCongregationTimeZoneDialog')
+        .addItem('Set Service Week Cut-over…', 'showServiceWeekCutoverDialog')
         .addToUi();
       Logger.log("⚙️ Config menu added by onOpen.");
     } else {
@@ -10,8 +10,8 @@ function onAttendanceSheetsChange(e) {
 
   Logger.log("Trigger detected a change. Updating attendance stats...");
 
-  // Call your main function to update the stats sheet
-  updateAttendanceStatsSheet();
+  // Only rows added since the last run are matched; see IncrementalStats.js for when it falls back to a full rebuild
+  updateAttendanceStatsSheet({ incremental: true });
 
   Logger.log("Attendance stats update triggered.");
 }
@@ -67,6 +67,9 @@
   const eventAttendanceData = getSheetData(currentSs, EVENT_ATTENDANCE_SHEET_NAME);
   const directoryData = directorySs ? getSheetData(directorySs, DIRECTORY_TAB_NAME) : [];
   const newMemberFormData = directorySs ? getSheetData(directorySs, NEW_MEMBER_FORM_TAB_NAME) : [];
+  // People written back by stageNewPersonInDirectory, when a staging tab other than the New Member Form is configured
+  const stagingTabName = getDirectoryStagingTabName();
+  const stagingData = directorySs && stagingTabName !== NEW_MEMBER_FORM_TAB_NAME && stagingTabName !== DIRECTORY_TAB_NAME ? getSheetData(directorySs, stagingTabName) : [];
   const serviceAttendanceData = getSheetData(currentSs, SERVICE_ATTENDANCE_SHEET_NAME); // Added this line
 
   if (sundayServiceDataAll.length === 0 && isTriggerMode) {
@@ -102,6 +105,7 @@
   updateHighestNumberFromSheetData(sundayServiceDataAll, SUNDAY_SERVICE_SHEET_NAME);
   updateHighestNumberFromSheetData(eventAttendanceData, EVENT_ATTENDANCE_SHEET_NAME);
   updateHighestNumberFromSheetData(newMemberFormData, NEW_MEMBER_FORM_TAB_NAME);
+  updateHighestNumberFromSheetData(stagingData, stagingTabName);
   updateHighestNumberFromSheetData(directoryData, DIRECTORY_TAB_NAME);
   updateHighestNumberFromSheetData(serviceAttendanceData, SERVICE_ATTENDANCE_SHEET_NAME); // Added this line
   Logger.log(`Initial highest existing numeric ID across all sheets: ${highestExistingNumber}`);
@@ -119,8 +123,8 @@
   if (data[i] && data[i].length >= NAME_COLUMN && data[i].length >= ID_COLUMN) {
   const nameCell = data[i][NAME_COLUMN - 1];
   const idCell = data[i][ID_COLUMN - 1];
-  if (nameCell && String(nameCell).trim() !== "" && idCell !== null && idCell !== undefined && String(idCell).trim() !== "") {
-  masterNameIdMap.set(String(nameCell).trim().toUpperCase(), String(idCell).trim());
+  if (personNameKey(nameCell) && idCell !== null && idCell !== undefined && String(idCell).trim() !== "") {
+  masterNameIdMap.set(personNameKey(nameCell), String(idCell).trim());
   }
   }
   }
@@ -130,8 +134,37 @@
   populateMapFromSheetData(sundayServiceDataAll, SUNDAY_SERVICE_SHEET_NAME);
   populateMapFromSheetData(eventAttendanceData, EVENT_ATTENDANCE_SHEET_NAME);
   populateMapFromSheetData(newMemberFormData, NEW_MEMBER_FORM_TAB_NAME);
+  populateMapFromSheetData(stagingData, stagingTabName);
   populateMapFromSheetData(directoryData, DIRECTORY_TAB_NAME);
   populateMapFromSheetData(serviceAttendanceData, SERVICE_ATTENDANCE_SHEET_NAME); // Added this line
+  const personAliases = loadPersonAliases();
+  applyPersonAliasesToNameMap(masterNameIdMap, personAliases); // Merged people resolve to their surviving ID
+
+  Logger.log('Building identity index (Directory ID, email, phone)...');
+  const identityIndex = createIdentityIndex(masterNameIdMap, personAliases);
+  // emailCol/phoneCol are 0-based; null means "look up by header", -1 means "not present"
+  function addIdentityRecordsFromSheetData(data, emailCol, phoneCol, isDirectory) {
+  if (!data || data.length < 2) return;
+  const resolvedEmailCol = emailCol === null ? findHeaderIndex(data[0], ["email", "e-mail", "email address"]) : emailCol;
+  const resolvedPhoneCol = phoneCol === null ? findHeaderIndex(data[0], ["phone", "phone number", "mobile", "cell"]) : phoneCol;
+  for (let i = 1; i < data.length; i++) {
+  const row = data[i];
+  if (!row) continue;
+  identityIndex.addRecord({
+  id: row[ID_COLUMN - 1],
+  fullName: row[NAME_COLUMN - 1],
+  email: resolvedEmailCol !== -1 ? row[resolvedEmailCol] : "",
+  phone: resolvedPhoneCol !== -1 ? row[resolvedPhoneCol] : ""
+  }, isDirectory);
+  }
+  }
+
+  addIdentityRecordsFromSheetData(directoryData, null, null, true);
+  addIdentityRecordsFromSheetData(newMemberFormData, null, null, false);
+  addIdentityRecordsFromSheetData(stagingData, null, null, false);
+  addIdentityRecordsFromSheetData(sundayServiceDataAll, 6, -1, false);      // Email in Column G
+  addIdentityRecordsFromSheetData(eventAttendanceData, 6, 7, false);        // Email in Column G, Phone in Column H
+  addIdentityRecordsFromSheetData(serviceAttendanceData, 6, -1, false);     // Email in Column G
   Logger.log(`Master Name-ID map built. Total unique names with IDs: ${masterNameIdMap.size}`);
 
   const sundayServiceSheet = currentSs.getSheetByName(SUNDAY_SERVICE_SHEET_NAME);
@@ -171,6 +204,24 @@
 
   const updatesToWrite = [];
   let idAssignedInTriggerMode = false;
+  const newPeople = []; // { person, rows: [{ sheetRow, existingId }] }: names with no ID, allocated in one batch after the loop
+  const newPersonByName = new Map(); // formatted name -> entry of newPeople
+
+  // Queues a row's ID for writing if it differs from the ID already in the sheet
+  const queueIdUpdate = (actualSheetRowNumber, determinedId, existingIdInSheet, currentName) => {
+  determinedId = String(determinedId).trim();
+  const sheetIdToCompare = String(existingIdInSheet || "").trim();
+
+  if (determinedId !== "" && determinedId !== sheetIdToCompare) {
+  updatesToWrite.push({ row: actualSheetRowNumber, id: determinedId });
+  Logger.log(`Sheet Row ${actualSheetRowNumber}: QUEUED FOR ID UPDATE. New ID: "${determinedId}", Old ID: "${sheetIdToCompare}".`);
+  if (isTriggerMode) idAssignedInTriggerMode = true;
+  } else if (determinedId === "") {
+  Logger.log(`Sheet Row ${actualSheetRowNumber}: SKIPPED ID UPDATE. Determined ID is empty for name "${currentName}".`);
+  } else {
+  Logger.log(`Sheet Row ${actualSheetRowNumber}: NO ID UPDATE NEEDED. Determined ID ("${determinedId}") matches existing sheet ID ("${sheetIdToCompare}").`);
+  }
+  };
 
   for (const detail of rowsToProcessDetails) {
   const actualSheetRowNumber = detail.sheetRow;
@@ -210,36 +261,63 @@
   const existingIdInSheet = currentRowData[ID_COLUMN - 1]; // Array is 0-indexed
 
   if (currentName && String(currentName).trim() !== "") {
-  const formattedName = String(currentName).trim().toUpperCase();
+  const formattedName = personNameKey(currentName);
   let determinedId = "";
 
-  if (masterNameIdMap.has(formattedName)) {
-  determinedId = masterNameIdMap.get(formattedName);
-  Logger.log(`Sheet Row ${actualSheetRowNumber}: Name "${currentName}" found in master map. ID from map: "${determinedId}". Existing ID in sheet: "${existingIdInSheet}"`);
-  } else {
-  highestExistingNumber++;
-  determinedId = String(highestExistingNumber);
-  Logger.log(`Sheet Row ${actualSheetRowNumber}: Name "${currentName}" NOT found in map. Generating new ID: "${determinedId}". Existing ID in sheet: "${existingIdInSheet}"`);
-  masterNameIdMap.set(formattedName, determinedId); // Update map for future consistency within this run
+  // Same new name earlier in this run: same person, same new ID
+  if (formattedName && newPersonByName.has(formattedName)) {
+  newPersonByName.get(formattedName).rows.push({ sheetRow: actualSheetRowNumber, existingId: existingIdInSheet });
+  continue;
   }
 
-  determinedId = String(determinedId).trim();
-  const sheetIdToCompare = String(existingIdInSheet || "").trim();
+  const identity = identityIndex.resolve({
+  id: existingIdInSheet,
+  fullName: currentName,
+  email: currentRowData[6], // Column G: Email
+  phone: ""
+  });
+  if (identity.conflict) {
+  flagIdentityConflict(identityIndex, identity.conflict, currentName);
+  }
 
-  if (determinedId !== "" && determinedId !== sheetIdToCompare) {
-  updatesToWrite.push({ row: actualSheetRowNumber, id: determinedId });
-  Logger.log(`Sheet Row ${actualSheetRowNumber}: QUEUED FOR ID UPDATE. New ID: "${determinedId}", Old ID: "${sheetIdToCompare}".`);
-  if (isTriggerMode) idAssignedInTriggerMode = true;
-  } else if (determinedId === "") {
-  Logger.log(`Sheet Row ${actualSheetRowNumber}: SKIPPED ID UPDATE. Determined ID is empty for name "${currentName}".`);
+  if (identity.id) {
+  determinedId = identity.id;
+  Logger.log(`Sheet Row ${actualSheetRowNumber}: Name "${currentName}" matched by ${identity.matchedBy}. ID: "${determinedId}". Existing ID in sheet: "${existingIdInSheet}"`);
+  if (formattedName && !masterNameIdMap.has(formattedName)) masterNameIdMap.set(formattedName, determinedId);
   } else {
-  Logger.log(`Sheet Row ${actualSheetRowNumber}: NO ID UPDATE NEEDED. Determined ID ("${determinedId}") matches existing sheet ID ("${sheetIdToCompare}").`);
+  const entry = {
+  person: {
+  fullName: String(currentName).trim(),
+  firstName: currentRowData[2],
+  lastName: currentRowData[3],
+  email: currentRowData[6]
+  },
+  rows: [{ sheetRow: actualSheetRowNumber, existingId: existingIdInSheet }]
+  };
+  newPeople.push(entry);
+  if (formattedName) newPersonByName.set(formattedName, entry);
+  Logger.log(`Sheet Row ${actualSheetRowNumber}: Name "${currentName}" NOT found in map. A new ID will be allocated. Existing ID in sheet: "${existingIdInSheet}"`);
+  continue;
   }
+
+  queueIdUpdate(actualSheetRowNumber, determinedId, existingIdInSheet, currentName);
   } else {
   Logger.log(`Sheet Row ${actualSheetRowNumber}: No name in Column B (or name is blank). Skipping ID assignment.`);
   }
   }
 
+  flushIdentityConflicts(identityIndex);
+
+  // One allocation (one lock, one ledger write, one Directory update) for every new name in this run
+  if (newPeople.length > 0) {
+  const allocatedIds = allocatePersonIds(newPeople.map(entry => entry.person), SUNDAY_SERVICE_SHEET_NAME, highestExistingNumber);
+  newPeople.forEach((entry, index) => {
+  const determinedId = String(allocatedIds[index]);
+  Logger.log(`Allocated new ID "${determinedId}" for "${entry.person.fullName}" (${entry.rows.length} row(s)).`);
+  entry.rows.forEach(row => queueIdUpdate(row.sheetRow, determinedId, row.existingId, entry.person.fullName));
+  });
+  }
+
   if (updatesToWrite.length > 0) {
   Logger.log(`Attempting to write ${updatesToWrite.length} ID updates to "${SUNDAY_SERVICE_SHEET_NAME}".`);
   let successCount = 0;
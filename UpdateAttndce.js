@@ -1,5 +1,13 @@
-function updateAttendanceStatsSheet() {
-  const finalData = calculateAttendanceStats();
+/**
+ * Rewrites "Attendance Stats" from the attendance sheets.
+ * @param {{incremental: boolean}} [options] With incremental: true, only attendance rows added since the
+ *   last run are matched (see IncrementalStats.js). Otherwise every row is re-matched and the cache rebuilt.
+ */
+function updateAttendanceStatsSheet(options) {
+  const incremental = Boolean(options && options.incremental === true);
+  const reportingPeriods = getReportingPeriods();
+  const rawData = incremental ? getIncrementalAttendanceRecords() : rebuildStatsCache();
+  const finalData = rawData.length > 0 ? calculateAttendanceStats(reportingPeriods, undefined, rawData) : [];
 
   if (!finalData || finalData.length === 0) {
     Logger.log("❌ No final data to update the 'Attendance Stats' sheet.");
@@ -14,7 +22,46 @@ function updateAttendanceStatsSheet() {
   }
 
   // Format the data for writing to the sheet
-  const output = finalData.map(row => {
+  const output = formatAttendanceStatsRows(finalData);
+
+  // Get how many rows and columns to write
+  const numRows = output.length;
+  const numCols = output[0].length;
+
+  // Write the data starting at row 2, column 1 — only overwrite those rows
+  sheet.getRange(2, 1, numRows, numCols).setValues(output);
+
+  Logger.log(`✅ Wrote ${numRows} rows to 'Attendance Stats'. Existing rows below are untouched.`);
+
+  // One column per configured reporting period, from Column M (see ReportingPeriods.js)
+  const periodNames = reportingPeriods.map(period => period.name);
+  const streakStart = 10 + periodNames.length;
+  writeReportingPeriodColumns(sheet, periodNames, finalData.map(row => row.slice(10, streakStart)));
+
+  // Sunday streaks right after the reporting periods (see AttendanceStreaks.js)
+  writeStreakColumns(sheet, ATTENDANCE_STATS_PERIOD_START_COL + periodNames.length, finalData.map(row => row.slice(streakStart)));
+
+  // Activity level in Column L, from the rules on the "Activity Rules" sheet (see ActivityLevel.js)
+  writeActivityLevels(sheet, calculateActivityLevels(finalData, periodNames.concat(ATTENDANCE_STATS_STREAK_HEADERS)));
+
+  // Segment columns after the streaks, then the per-segment summary (see Segments.js)
+  const dimensions = getSegmentDimensions();
+  if (dimensions.length > 0) {
+    const segments = loadPersonSegments(dimensions);
+    writeSegmentColumns(sheet, ATTENDANCE_STATS_PERIOD_START_COL + periodNames.length + ATTENDANCE_STATS_STREAK_HEADERS.length,
+      dimensions, finalData.map(row => segments.valuesFor(row[0], row[1])));
+    updateSegmentSummarySheet();
+  }
+}
+
+/**
+ * Formats calculateAttendanceStats() rows for Columns A-J of 'Attendance Stats':
+ * fills First/Last Name from the full name and formats the last attended date.
+ * @param {Array<Array<any>>} finalData Rows from calculateAttendanceStats().
+ * @return {Array<Array<any>>} Ten-column rows ready for setValues().
+ */
+function formatAttendanceStatsRows(finalData) {
+  return finalData.map(row => {
     const [
       bel,
       fullName,
@@ -28,13 +75,11 @@ function updateAttendanceStatsSheet() {
       total
     ] = row;
 
-    const nameParts = fullName ? String(fullName).trim().split(/\s+/) : [];
-    const firstName = nameParts.length > 0 ? nameParts[0] : "";
-    const lastName = nameParts.length > 1 ? nameParts.slice(1).join(" ") : "";
+    const { firstName, lastName } = splitNameForColumns(fullName); // Handles "Mary Ann Lee", "Juan de la Cruz", "王小明" (NameModel.js)
 
     let formattedDate = "";
     if (lastDate instanceof Date && !isNaN(lastDate.getTime())) {
-      formattedDate = Utilities.formatDate(lastDate, Session.getScriptTimeZone(), "MM/dd/yyyy");
+      formattedDate = formatCongregationDate(lastDate, "MM/dd/yyyy");
     } else if (lastDate) {
       formattedDate = String(lastDate);
       Logger.log(`⚠️ Invalid date for BEL ${bel}: ${lastDate}.`);
@@ -53,13 +98,4 @@ function updateAttendanceStatsSheet() {
       total
     ];
   });
-
-  // Get how many rows and columns to write
-  const numRows = output.length;
-  const numCols = output[0].length;
-
-  // Write the data starting at row 2, column 1 — only overwrite those rows
-  sheet.getRange(2, 1, numRows, numCols).setValues(output);
-
-  Logger.log(`✅ Wrote ${numRows} rows to 'Attendance Stats'. Existing rows below are untouched.`);
 }
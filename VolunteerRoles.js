@@ -0,0 +1,173 @@
+/**
+ * Volunteer Roles
+ * Ministry roles (usher, worship, kids, tech, ...) are listed on the "Volunteer Roles" settings sheet with
+ * the text that identifies them in the Role column (J) of "Event Attendance" and the hours one shift counts for.
+ * groupAttendanceRecordsById tags each record with its role, so serving is counted the same way everywhere.
+ *
+ * updateVolunteerSheets builds two sheets for ministry leads:
+ *   "Volunteer Stats"   - one row per person and role: times served and hours this month, quarter, year
+ *                          and in each reporting period.
+ *   "Volunteer Summary" - the leaderboard: one row per volunteer, ranked by hours served this year.
+ */
+
+const VOLUNTEER_ROLES_SHEET_NAME = "Volunteer Roles";
+const VOLUNTEER_ROLES_HEADERS = ["Role", "Match Text", "Default Hours", "Ministry", "Enabled"];
+const VOLUNTEER_ROLES_DEFAULT_ROWS = [
+  ["Usher", "usher", 2, "Hospitality", true],
+  ["Greeter", "greeter, welcome", 1.5, "Hospitality", true],
+  ["Worship", "worship, choir, music, band", 3, "Worship", true],
+  ["Kids", "kids, children, nursery, sunday school", 2.5, "Children", true],
+  ["Tech", "tech, sound, livestream, media", 3, "Production", true],
+  ["Volunteer", "volunteer", 2, "General", true] // Anything else marked as volunteering; keep it last
+];
+const VOLUNTEER_STATS_SHEET_NAME = "Volunteer Stats";
+const VOLUNTEER_SUMMARY_SHEET_NAME = "Volunteer Summary";
+const VOLUNTEER_SUMMARY_HEADERS = ["Rank", "ID", "Full Name", "Roles", "Times Served (Year)", "Hours (Year)", "Hours (Quarter)", "Hours (Month)", "Last Served"];
+
+/**
+ * Reads the enabled volunteer roles, in sheet order.
+ * @return {Array<{role: string, matchText: Array<string>, hours: number, ministry: string}>}
+ */
+function getVolunteerRoles() {
+  const roles = [];
+  readSettingsSheet(VOLUNTEER_ROLES_SHEET_NAME, VOLUNTEER_ROLES_HEADERS, VOLUNTEER_ROLES_DEFAULT_ROWS).forEach(setting => {
+    if (!isSettingEnabled(setting["Enabled"])) return;
+    const role = String(setting["Role"]).trim();
+    const matchText = String(setting["Match Text"] || role).split(",")
+      .map(text => text.trim().toLowerCase())
+      .filter(text => text !== "");
+    const hours = Number(setting["Default Hours"]);
+    if (isNaN(hours) || hours < 0) {
+      Logger.log(`⚠️ Volunteer role "${role}": Default Hours "${setting["Default Hours"]}" is not a number. Counting 0 hours.`);
+    }
+    roles.push({ role: role, matchText: matchText, hours: isNaN(hours) || hours < 0 ? 0 : hours, ministry: String(setting["Ministry"] || "").trim() });
+  });
+  return roles;
+}
+
+/**
+ * Finds the volunteer role for an attendance Role value. Roles are tried in sheet order and
+ * the first one whose Match Text appears in the value as whole words wins, so "tech" matches
+ * "Tech Team" but not "Biotech Fair".
+ * @param {any} roleValue The Role cell (Column J of "Event Attendance").
+ * @param {Array<Object>} roles Output of getVolunteerRoles().
+ * @return {Object|null} The matching role, or null if the person was not serving.
+ */
+function matchVolunteerRole(roleValue, roles) {
+  const text = roleMatchWords(roleValue);
+  if (!text.trim()) return null;
+  return roles.find(role => role.matchText.some(match => {
+    const words = roleMatchWords(match);
+    return words.trim() !== "" && text.includes(words);
+  })) || null;
+}
+
+/**
+ * @param {any} value A Role cell or Match Text entry.
+ * @return {string} Its lower-case words separated by single spaces, with a space at each end, so a
+ *   phrase can be found as whole words with includes().
+ */
+function roleMatchWords(value) {
+  const words = String(value || "").toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(word => word);
+  return ` ${words.join(" ")} `;
+}
+
+/**
+ * Rebuilds the "Volunteer Stats" and "Volunteer Summary" sheets from the same attendance data
+ * used for Attendance Stats.
+ */
+function updateVolunteerSheets() {
+  const rawData = getIncrementalAttendanceRecords(); // Cached matched records (IncrementalStats.js)
+  if (!rawData || rawData.length === 0) {
+    Logger.log("❌ No attendance data for the volunteer sheets.");
+    return;
+  }
+  const grouped = groupAttendanceRecordsById(rawData);
+
+  const now = new Date();
+  const { year: currentYear, quarter: currentQuarter, month: currentMonth } = getDateParts(now);
+  const reportingPeriods = getReportingPeriods();
+  const periods = [
+    { name: "Month", contains: r => r.year === currentYear && r.month === currentMonth },
+    { name: "Quarter", contains: r => r.year === currentYear && r.quarter === currentQuarter },
+    { name: "Year", contains: r => r.year === currentYear }
+  ].concat(reportingPeriods.map(period => {
+    const window = getReportingPeriodWindow(period, now);
+    return { name: period.name, contains: r => r.date >= window.start && r.date < window.end };
+  }));
+
+  const statsRows = [];
+  const summaryRows = [];
+  grouped.forEach((records, personId) => {
+    const served = records.filter(r => r.isVolunteer);
+    if (served.length === 0) return;
+    const fullName = served.reduce((latest, r) => r.date > latest.date ? r : latest).name;
+
+    // role -> { ministry, times: [per period], hours: [per period], lastServed }
+    const byRole = new Map();
+    served.forEach(r => {
+      if (!byRole.has(r.volunteerRole)) {
+        byRole.set(r.volunteerRole, { ministry: r.volunteerMinistry, times: periods.map(() => 0), hours: periods.map(() => 0), lastServed: null });
+      }
+      const roleStats = byRole.get(r.volunteerRole);
+      periods.forEach((period, index) => {
+        if (!period.contains(r)) return;
+        roleStats.times[index]++;
+        roleStats.hours[index] += r.volunteerHours;
+      });
+      if (!roleStats.lastServed || r.date > roleStats.lastServed) roleStats.lastServed = r.date;
+    });
+
+    const totals = { times: periods.map(() => 0), hours: periods.map(() => 0), lastServed: null };
+    Array.from(byRole.keys()).sort().forEach(role => {
+      const roleStats = byRole.get(role);
+      const row = [personId, fullName, role, roleStats.ministry];
+      periods.forEach((period, index) => {
+        row.push(roleStats.times[index], roleStats.hours[index]);
+        totals.times[index] += roleStats.times[index];
+        totals.hours[index] += roleStats.hours[index];
+      });
+      row.push(roleStats.lastServed);
+      statsRows.push(row);
+      if (!totals.lastServed || roleStats.lastServed > totals.lastServed) totals.lastServed = roleStats.lastServed;
+    });
+
+    // Periods 0-2 are Month, Quarter, Year
+    summaryRows.push(["", personId, fullName, Array.from(byRole.keys()).sort().join(", "),
+      totals.times[2], totals.hours[2], totals.hours[1], totals.hours[0], totals.lastServed]);
+  });
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  // Volunteer Stats: per person and role
+  const statsHeaders = ["ID", "Full Name", "Role", "Ministry"];
+  periods.forEach(period => statsHeaders.push(`Times (${period.name})`, `Hours (${period.name})`));
+  statsHeaders.push("Last Served");
+  statsRows.sort((a, b) => String(a[1]).localeCompare(String(b[1])) || String(a[2]).localeCompare(String(b[2])));
+  writeVolunteerSheet(ss, VOLUNTEER_STATS_SHEET_NAME, statsHeaders, statsRows);
+
+  // Volunteer Summary: leaderboard by hours this year, then times served
+  summaryRows.sort((a, b) => b[5] - a[5] || b[4] - a[4] || String(a[2]).localeCompare(String(b[2])));
+  summaryRows.forEach((row, index) => { row[0] = index + 1; });
+  writeVolunteerSheet(ss, VOLUNTEER_SUMMARY_SHEET_NAME, VOLUNTEER_SUMMARY_HEADERS, summaryRows);
+
+  Logger.log(`✅ Volunteer sheets rebuilt: ${summaryRows.length} volunteer(s), ${statsRows.length} person/role row(s).`);
+}
+
+/**
+ * Clears a volunteer report sheet and writes its headers and rows. The last column is the "Last Served" date.
+ * @param {GoogleAppsScript.Spreadsheet.Spreadsheet} ss The spreadsheet.
+ * @param {string} sheetName Sheet to write.
+ * @param {Array<string>} headers Header row.
+ * @param {Array<Array<any>>} rows Data rows.
+ */
+function writeVolunteerSheet(ss, sheetName, headers, rows) {
+  const sheet = getOrCreateSheet(ss, sheetName, null);
+  sheet.clearContents();
+  sheet.getRange(1, 1, 1, headers.length).setValues([headers]).setFontWeight("bold");
+  sheet.setFrozenRows(1);
+  if (rows.length > 0) {
+    sheet.getRange(2, 1, rows.length, headers.length).setValues(rows);
+    sheet.getRange(2, headers.length, rows.length, 1).setNumberFormat("MM/dd/yyyy");
+  }
+}
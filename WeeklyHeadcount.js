@@ -0,0 +1,129 @@
+/**
+ * Weekly Sunday Service Headcount
+ * Builds the "Weekly Headcount" sheet from "Service Attendance" and "Sunday Service": one row per
+ * service date with headcount, first-time and returning visitors, regulars who were absent, and
+ * comparisons with the previous week, the same week last year and the trailing 8-week average.
+ */
+
+const WEEKLY_HEADCOUNT_SHEET_NAME = "Weekly Headcount";
+const WEEKLY_HEADCOUNT_HEADERS = ["Service Date", "Headcount", "First-Time", "Returning", "Regulars Absent", "Absent Regulars",
+  "Prev Week", "vs Prev Week", "Same Week Last Year", "vs Last Year", "8-Week Avg", "vs 8-Week Avg"];
+const HEADCOUNT_TRAILING_WEEKS = 8;
+const REGULAR_ATTENDANCE_RATIO = 0.5; // Attended at least half of the services in the trailing weeks
+const REGULAR_MIN_SERVICES = 4;       // ...and at least this many services were held in that window
+
+/**
+ * Rebuilds the "Weekly Headcount" sheet.
+ * Check-ins are grouped by service date (the service Sunday for the timestamp in Column E, see getServiceSunday in DateUtils.js) and each
+ * person is counted once per service, by ID (Column A) or, without an ID, by name (Column B).
+ * A person is first-time when any of their check-ins for that service has the First Time column (F) set.
+ */
+function updateWeeklyHeadcountSheet() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  const sheetData = ["Service Attendance", "Sunday Service"].map(sheetName => getSheetData(ss, sheetName));
+
+  // Rows without an ID yet are matched to the ID used for the same name elsewhere, so nobody is counted twice
+  const idByName = new Map();
+  sheetData.forEach(data => data.slice(1).forEach(row => {
+    const id = String(row[0]).trim();
+    const nameKey = personNameKey(row[1]);
+    if (id && nameKey && !idByName.has(nameKey)) idByName.set(nameKey, id);
+  }));
+
+  // serviceKey (yyyy-MM-dd) -> { date, people: Map(personKey -> name), firstTimers: Set(personKey) }
+  const services = new Map();
+  sheetData.forEach(data => {
+    for (let i = 1; i < data.length; i++) {
+      const row = data[i];
+      const name = String(row[1] || "").trim();
+      const timestamp = toDate(row[4]);
+      if (!name || !timestamp) continue;
+
+      const serviceDate = getServiceSunday(timestamp);
+      const serviceKey = formatCongregationDate(serviceDate);
+      const nameKey = personNameKey(name);
+      const personKey = String(row[0]).trim() || (nameKey && idByName.get(nameKey)) || `NAME:${nameKey || name}`;
+      if (!services.has(serviceKey)) services.set(serviceKey, { date: serviceDate, people: new Map(), firstTimers: new Set() });
+      const service = services.get(serviceKey);
+      service.people.set(personKey, name);
+      if (isFirstTimeAnswer(row[5])) service.firstTimers.add(personKey);
+    }
+  });
+
+  const serviceKeys = Array.from(services.keys()).sort();
+  const headcountFor = date => {
+    const service = services.get(formatCongregationDate(date));
+    return service ? service.people.size : null;
+  };
+  const difference = (current, other) => (other === null || other === "") ? "" : current - other;
+
+  const output = serviceKeys.map(serviceKey => {
+    const service = services.get(serviceKey);
+    const headcount = service.people.size;
+    const firstTime = service.firstTimers.size;
+
+    // Services held in the trailing weeks before this one
+    const trailing = [];
+    for (let week = 1; week <= HEADCOUNT_TRAILING_WEEKS; week++) {
+      const earlier = services.get(formatCongregationDate(addDays(service.date, -7 * week)));
+      if (earlier) trailing.push(earlier);
+    }
+    const trailingAverage = trailing.length > 0
+      ? Math.round(trailing.reduce((sum, s) => sum + s.people.size, 0) / trailing.length * 10) / 10
+      : "";
+
+    // Regulars: attended at least REGULAR_ATTENDANCE_RATIO of the trailing services
+    const absentRegulars = [];
+    if (trailing.length >= REGULAR_MIN_SERVICES) {
+      const attendanceCounts = new Map();
+      trailing.forEach(s => s.people.forEach((name, personKey) => {
+        const entry = attendanceCounts.get(personKey) || { name: name, count: 0 };
+        entry.count++;
+        attendanceCounts.set(personKey, entry);
+      }));
+      attendanceCounts.forEach((entry, personKey) => {
+        if (entry.count / trailing.length >= REGULAR_ATTENDANCE_RATIO && !service.people.has(personKey)) {
+          absentRegulars.push(entry.name);
+        }
+      });
+    }
+
+    const previousWeek = headcountFor(addDays(service.date, -7));
+    const lastYear = headcountFor(addDays(service.date, -364)); // Same Sunday 52 weeks earlier
+    return [
+      service.date,
+      headcount,
+      firstTime,
+      headcount - firstTime,
+      absentRegulars.length,
+      absentRegulars.sort().join("; "),
+      previousWeek === null ? "" : previousWeek,
+      difference(headcount, previousWeek),
+      lastYear === null ? "" : lastYear,
+      difference(headcount, lastYear),
+      trailingAverage,
+      trailingAverage === "" ? "" : Math.round((headcount - trailingAverage) * 10) / 10
+    ];
+  }).reverse(); // Most recent service first
+
+  const sheet = getOrCreateSheet(ss, WEEKLY_HEADCOUNT_SHEET_NAME, WEEKLY_HEADCOUNT_HEADERS);
+  if (sheet.getLastRow() >= 2) {
+    sheet.getRange(2, 1, sheet.getLastRow() - 1, WEEKLY_HEADCOUNT_HEADERS.length).clearContent();
+  }
+  if (output.length > 0) {
+    sheet.getRange(2, 1, output.length, WEEKLY_HEADCOUNT_HEADERS.length).setValues(output);
+    sheet.getRange(2, 1, output.length, 1).setNumberFormat("MM/dd/yyyy");
+  }
+  Logger.log(`✅ '${WEEKLY_HEADCOUNT_SHEET_NAME}' rebuilt with ${output.length} service date(s).`);
+}
+
+/**
+ * @param {any} value A "First Time" cell (checkbox, "Yes", "Y", "TRUE", "First time").
+ * @return {boolean} True if the answer means this was the person's first visit.
+ */
+function isFirstTimeAnswer(value) {
+  if (value === true) return true;
+  const text = String(value || "").trim().toLowerCase();
+  return text === "yes" || text === "y" || text === "true" || text.indexOf("first") === 0;
+}
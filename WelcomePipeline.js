@@ -0,0 +1,323 @@
+/**
+ * First-Time Visitor Welcome Pipeline
+ * When a first-time visitor lands in "Service Attendance" (First Time = "Yes" on the Sunday Service form,
+ * or computed: no attendance under their ID before that day in the stats cache), they get a row on the "Welcome Pipeline" sheet.
+ * Then:
+ *   1. a welcome email is queued to the Email they submitted, from the template on "Welcome Settings";
+ *   2. the newcomer team gets one email listing the new first-timers;
+ *   3. the row tracks whether they came back within WELCOME_RETURN_DAYS.
+ * Queued emails and return tracking are also handled by runWelcomePipeline, which a daily trigger can run,
+ * so nothing is lost if the mail quota runs out. Mail goes through a mail adapter (MailAdapter.js).
+ */
+
+const WELCOME_PIPELINE_SHEET_NAME = "Welcome Pipeline";
+const WELCOME_PIPELINE_HEADERS = ["Person ID", "Full Name", "Email", "First Visit", "Source", "Welcome Email", "Team Notified",
+  "Returned Within 4 Weeks", "Return Date", "Notes", "Added On"];
+const WELCOME_COL = { id: 0, name: 1, email: 2, firstVisit: 3, source: 4, welcomeEmail: 5, teamNotified: 6, returned: 7, returnDate: 8, notes: 9, addedOn: 10 }; // 0-based
+const WELCOME_EMAIL_QUEUED = "Queued";
+const WELCOME_RETURN_DAYS = 28;
+const WELCOME_SETTINGS_SHEET_NAME = "Welcome Settings";
+const WELCOME_SETTINGS_HEADERS = ["Setting", "Value"];
+const WELCOME_SETTINGS_DEFAULT_ROWS = [
+  ["Email Subject", "Welcome, {{firstName}}!"],
+  ["Email Body", "Dear {{firstName}},\n\nThank you for joining us on {{firstVisit}}. It was a joy to have you with us, " +
+    "and we hope to see you again soon.\n\nIf you have any questions, just reply to this email.\n\nWarm regards,\nThe Welcome Team"],
+  ["Reply-To", ""],
+  ["Sender Name", "Welcome Team"],
+  ["Newcomer Team Emails", ""] // Comma-separated
+];
+const WELCOME_PIPELINE_TRIGGER_HANDLER = 'runWelcomePipeline';
+
+/**
+ * Adds first-time visitors among newly added "Service Attendance" rows to the Welcome Pipeline, then sends
+ * their welcome emails and notifies the newcomer team. Errors are logged, never thrown, so the transfer
+ * that called it is not undone. Runs inside form-submit triggers, so first visits are computed from the
+ * stats cache (IncrementalStats.js) as it stands, never by re-matching attendance; without a cache only
+ * First Time = "Yes" counts. The duplicate check and the append run under the script lock.
+ * Must not be called while holding the script lock.
+ * @param {Array<Array<any>>} entries The rows just written to "Service Attendance"
+ *   (A ID, B Full Name, C First, D Last, E Date/Timestamp, F First Time, G Email, ...).
+ * @param {string} source Where they came from, e.g. "Sunday Service form" or "Sunday Registration".
+ * @param {Object} [mailAdapter] Mail adapter to send with. Uses MailApp when omitted.
+ */
+function queueWelcomeForNewServiceEntries(entries, source, mailAdapter) {
+  try {
+    if (!entries || entries.length === 0) return;
+    const aliases = loadPersonAliases();
+
+    // Earliest attendance day per person ID, from the cached records and the new rows
+    const cachedRecords = getCachedAttendanceRecords();
+    if (!cachedRecords) Logger.log(`ℹ️ No stats cache yet. Only First Time = "Yes" adds ${source} entries to the Welcome Pipeline.`);
+    const firstDayById = new Map();
+    const noteDay = (id, value) => {
+      const date = toDate(value);
+      const personId = aliases.resolveId(id);
+      if (!date || !personId) return;
+      const day = formatCongregationDate(date);
+      if (!firstDayById.has(personId) || day < firstDayById.get(personId)) firstDayById.set(personId, day);
+    };
+    if (cachedRecords) {
+      cachedRecords.forEach(record => noteDay(record[0], record[10]));
+      entries.forEach(entry => noteDay(entry[0], entry[4]));
+    }
+
+    const lock = LockService.getScriptLock();
+    if (!lock.tryLock(ID_ALLOCATION_LOCK_TIMEOUT_MS)) {
+      throw new Error(`Could not acquire the script lock within ${ID_ALLOCATION_LOCK_TIMEOUT_MS / 1000} seconds.`);
+    }
+    const added = [];
+    try {
+      const sheet = getOrCreateSheet(SpreadsheetApp.getActiveSpreadsheet(), WELCOME_PIPELINE_SHEET_NAME, WELCOME_PIPELINE_HEADERS);
+      const existing = new Set(getWelcomePipelineRows(sheet).map(row => aliases.resolveId(row[WELCOME_COL.id])).filter(id => id));
+      const today = startOfDay(new Date());
+      entries.forEach(entry => {
+        const personId = aliases.resolveId(entry[0]);
+        const visit = toDate(entry[4]);
+        if (!personId || !visit || existing.has(personId)) return;
+        const saidFirstTime = /^y(es)?$/i.test(String(entry[5] || "").trim());
+        const computedFirstTime = firstDayById.get(personId) === formatCongregationDate(visit);
+        if (!saidFirstTime && !computedFirstTime) return;
+
+        const email = normalizeEmail(entry[6]);
+        const row = Array(WELCOME_PIPELINE_HEADERS.length).fill("");
+        row[WELCOME_COL.id] = personId;
+        row[WELCOME_COL.name] = String(entry[1] || "").trim();
+        row[WELCOME_COL.email] = email;
+        row[WELCOME_COL.firstVisit] = startOfDay(visit);
+        row[WELCOME_COL.source] = `${source}${saidFirstTime ? "" : " (computed)"}`;
+        row[WELCOME_COL.welcomeEmail] = email ? WELCOME_EMAIL_QUEUED : "No email";
+        row[WELCOME_COL.addedOn] = today;
+        added.push(row);
+        existing.add(personId);
+      });
+
+      if (added.length > 0) {
+        const startRow = sheet.getLastRow() + 1;
+        sheet.getRange(startRow, 1, added.length, WELCOME_PIPELINE_HEADERS.length).setValues(added);
+        sheet.getRange(startRow, WELCOME_COL.firstVisit + 1, added.length, 1).setNumberFormat("MM/dd/yyyy");
+        sheet.getRange(startRow, WELCOME_COL.addedOn + 1, added.length, 1).setNumberFormat("MM/dd/yyyy");
+        SpreadsheetApp.flush();
+      }
+    } finally {
+      lock.releaseLock();
+    }
+    if (added.length === 0) return;
+    Logger.log(`✅ Added ${added.length} first-time visitor(s) to '${WELCOME_PIPELINE_SHEET_NAME}' from ${source}.`);
+
+    const mail = resolveMailAdapter(mailAdapter);
+    sendQueuedWelcomeEmails(mail);
+    notifyNewcomerTeam(mail);
+  } catch (error) {
+    Logger.log(`❌ Welcome pipeline failed for new ${source} entries: ${error.message}`);
+  }
+}
+
+/**
+ * Daily job: sends any queued welcome emails, notifies the newcomer team of anyone not yet reported,
+ * and records who came back within WELCOME_RETURN_DAYS.
+ * @param {Object} [mailAdapter] Mail adapter to send with. Uses MailApp when omitted (menu and trigger runs).
+ */
+function runWelcomePipeline(mailAdapter) {
+  const mail = resolveMailAdapter(mailAdapter);
+  sendQueuedWelcomeEmails(mail);
+  notifyNewcomerTeam(mail);
+  updateWelcomeReturns();
+}
+
+/**
+ * Sends the welcome email for every row whose Welcome Email is "Queued".
+ * @param {Object} mail A mail adapter.
+ * @return {number} Emails sent.
+ */
+function sendQueuedWelcomeEmails(mail) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(WELCOME_PIPELINE_SHEET_NAME);
+  const rows = sheet ? getWelcomePipelineRows(sheet) : [];
+  const settings = getWelcomeSettings();
+  let sent = 0;
+
+  rows.forEach((row, index) => {
+    if (String(row[WELCOME_COL.welcomeEmail]).trim() !== WELCOME_EMAIL_QUEUED) return;
+    if (mail.remainingQuota() < 1) {
+      Logger.log(`⚠️ Daily email quota used up. Welcome email to ${row[WELCOME_COL.name]} stays queued.`);
+      return;
+    }
+    const values = {
+      fullName: row[WELCOME_COL.name],
+      firstName: splitNameForColumns(row[WELCOME_COL.name]).firstName || row[WELCOME_COL.name],
+      firstVisit: toDate(row[WELCOME_COL.firstVisit]) ? formatCongregationDate(toDate(row[WELCOME_COL.firstVisit]), "MMMM d, yyyy") : ""
+    };
+    let status;
+    try {
+      mail.send({
+        to: row[WELCOME_COL.email],
+        subject: fillWelcomeTemplate(settings["Email Subject"], values),
+        body: fillWelcomeTemplate(settings["Email Body"], values),
+        replyTo: settings["Reply-To"] || undefined,
+        name: settings["Sender Name"] || undefined
+      });
+      status = `Sent ${formatCongregationDate(new Date(), "MM/dd/yyyy")}`;
+      sent++;
+    } catch (error) {
+      status = `Failed: ${error.message}`;
+      Logger.log(`❌ Welcome email to ${row[WELCOME_COL.email]} failed: ${error.message}`);
+    }
+    sheet.getRange(index + 2, WELCOME_COL.welcomeEmail + 1).setValue(status);
+  });
+
+  if (sent > 0) Logger.log(`✅ Sent ${sent} welcome email(s).`);
+  return sent;
+}
+
+/**
+ * Emails the newcomer team one list of the first-timers not yet reported to them, and marks them notified.
+ * Does nothing when "Newcomer Team Emails" on "Welcome Settings" is blank. A failed send is logged and the
+ * first-timers stay unreported, so the next run tries again.
+ * @param {Object} mail A mail adapter.
+ * @return {number} First-timers reported.
+ */
+function notifyNewcomerTeam(mail) {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(WELCOME_PIPELINE_SHEET_NAME);
+  const rows = sheet ? getWelcomePipelineRows(sheet) : [];
+  const pending = rows.map((row, index) => ({ row: row, sheetRow: index + 2 }))
+    .filter(item => String(item.row[WELCOME_COL.teamNotified]).trim() === "");
+  if (pending.length === 0) return 0;
+
+  const recipients = String(getWelcomeSettings()["Newcomer Team Emails"] || "").split(",")
+    .map(email => normalizeEmail(email)).filter(email => email);
+  if (recipients.length === 0) {
+    Logger.log(`ℹ️ No "Newcomer Team Emails" on '${WELCOME_SETTINGS_SHEET_NAME}'. ${pending.length} first-timer(s) not reported to the team.`);
+    return 0;
+  }
+  if (mail.remainingQuota() < 1) {
+    Logger.log("⚠️ Daily email quota used up. Newcomer team will be notified on the next run.");
+    return 0;
+  }
+
+  const lines = [`${pending.length} new first-time ${pending.length === 1 ? "visitor" : "visitors"}:`, ""];
+  pending.forEach(({ row }) => {
+    const firstVisit = toDate(row[WELCOME_COL.firstVisit]);
+    lines.push(`• ${row[WELCOME_COL.name]} (ID ${row[WELCOME_COL.id]}), first visit ${firstVisit ? formatCongregationDate(firstVisit, "MM/dd/yyyy") : "—"}, ` +
+      `email ${row[WELCOME_COL.email] || "—"}, welcome email: ${row[WELCOME_COL.welcomeEmail] || "—"}`);
+  });
+  lines.push("", `Details are on the '${WELCOME_PIPELINE_SHEET_NAME}' sheet:`, SpreadsheetApp.getActiveSpreadsheet().getUrl());
+
+  try {
+    mail.send({
+      to: recipients.join(","),
+      subject: `New first-time visitors: ${pending.length}`,
+      body: lines.join("\n")
+    });
+  } catch (error) {
+    Logger.log(`❌ Newcomer team email to ${recipients.join(", ")} failed: ${error.message}. They will be notified on the next run.`);
+    return 0;
+  }
+  const notifiedOn = formatCongregationDate(new Date(), "MM/dd/yyyy");
+  pending.forEach(({ sheetRow }) => sheet.getRange(sheetRow, WELCOME_COL.teamNotified + 1).setValue(notifiedOn));
+  Logger.log(`✅ Newcomer team notified of ${pending.length} first-timer(s).`);
+  return pending.length;
+}
+
+/**
+ * Fills in "Returned Within 4 Weeks" (Yes / No) and "Return Date" for rows still waiting.
+ * A return is any attendance on a later day within WELCOME_RETURN_DAYS of the first visit.
+ * Rows stay blank until they come back or the window has passed.
+ */
+function updateWelcomeReturns() {
+  const sheet = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(WELCOME_PIPELINE_SHEET_NAME);
+  const rows = sheet ? getWelcomePipelineRows(sheet) : [];
+  const waiting = rows.filter(row => String(row[WELCOME_COL.returned]).trim() === "" && toDate(row[WELCOME_COL.firstVisit]));
+  if (waiting.length === 0) return;
+
+  const aliases = loadPersonAliases();
+  const daysById = new Map(); // Person ID -> attendance days ("yyyy-MM-dd")
+  getIncrementalAttendanceRecords().forEach(record => {
+    const date = toDate(record[10]);
+    const personId = aliases.resolveId(record[0]);
+    if (!date || !personId) return;
+    if (!daysById.has(personId)) daysById.set(personId, new Set());
+    daysById.get(personId).add(formatCongregationDate(date));
+  });
+
+  const today = startOfDay(new Date());
+  let updated = 0;
+  rows.forEach(row => {
+    if (waiting.indexOf(row) === -1) return;
+    const firstVisit = startOfDay(toDate(row[WELCOME_COL.firstVisit]));
+    const firstDay = formatCongregationDate(firstVisit);
+    const lastDay = formatCongregationDate(addDays(firstVisit, WELCOME_RETURN_DAYS));
+    const returnDay = Array.from(daysById.get(aliases.resolveId(row[WELCOME_COL.id])) || [])
+      .filter(day => day > firstDay && day <= lastDay).sort()[0];
+    if (returnDay) {
+      row[WELCOME_COL.returned] = "Yes";
+      row[WELCOME_COL.returnDate] = calendarDate(Number(returnDay.slice(0, 4)), Number(returnDay.slice(5, 7)) - 1, Number(returnDay.slice(8, 10)));
+      updated++;
+    } else if (addDays(firstVisit, WELCOME_RETURN_DAYS) < today) {
+      row[WELCOME_COL.returned] = "No";
+      updated++;
+    }
+  });
+
+  if (updated > 0) {
+    sheet.getRange(2, WELCOME_COL.returned + 1, rows.length, 2).setValues(rows.map(row => [row[WELCOME_COL.returned], row[WELCOME_COL.returnDate]]));
+    sheet.getRange(2, WELCOME_COL.returnDate + 1, rows.length, 1).setNumberFormat("MM/dd/yyyy");
+  }
+  Logger.log(`✅ Welcome returns updated for ${updated} of ${waiting.length} waiting first-timer(s).`);
+}
+
+/**
+ * @param {GoogleAppsScript.Spreadsheet.Sheet} sheet The "Welcome Pipeline" sheet.
+ * @return {Array<Array<any>>} Its data rows (sheet row = index + 2).
+ */
+function getWelcomePipelineRows(sheet) {
+  if (sheet.getLastRow() < 2) return [];
+  return sheet.getRange(2, 1, sheet.getLastRow() - 1, WELCOME_PIPELINE_HEADERS.length).getValues();
+}
+
+/**
+ * @return {Object<string, string>} "Welcome Settings" values keyed by Setting.
+ */
+function getWelcomeSettings() {
+  const settings = {};
+  readSettingsSheet(WELCOME_SETTINGS_SHEET_NAME, WELCOME_SETTINGS_HEADERS, WELCOME_SETTINGS_DEFAULT_ROWS).forEach(setting => {
+    settings[String(setting["Setting"]).trim()] = String(setting["Value"] === null || setting["Value"] === undefined ? "" : setting["Value"]).trim();
+  });
+  return settings;
+}
+
+/**
+ * Replaces {{placeholders}} in a template. Unknown placeholders are left as they are.
+ * @param {string} template The template text.
+ * @param {Object<string, string>} values Placeholder -> value.
+ * @return {string} The filled-in text.
+ */
+function fillWelcomeTemplate(template, values) {
+  return String(template || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (placeholder, key) =>
+    Object.prototype.hasOwnProperty.call(values, key) ? String(values[key]) : placeholder);
+}
+
+/**
+ * Creates a daily time-driven trigger (early morning) for runWelcomePipeline, replacing any existing one.
+ */
+function setupWelcomePipelineTrigger() {
+  const ui = SpreadsheetApp.getUi();
+
+  ScriptApp.getProjectTriggers().forEach(trigger => {
+    if (trigger.getHandlerFunction() === WELCOME_PIPELINE_TRIGGER_HANDLER) {
+      ScriptApp.deleteTrigger(trigger);
+      Logger.log(`Removed existing '${WELCOME_PIPELINE_TRIGGER_HANDLER}' trigger.`);
+    }
+  });
+
+  ScriptApp.newTrigger(WELCOME_PIPELINE_TRIGGER_HANDLER)
+    .timeBased()
+    .everyDays(1)
+    .atHour(6)
+    .create();
+
+  Logger.log(`✅ Daily trigger created for '${WELCOME_PIPELINE_TRIGGER_HANDLER}'.`);
+  ui.alert(
+    'Trigger Created!',
+    `Queued welcome emails, newcomer team updates and 4-week returns on '${WELCOME_PIPELINE_SHEET_NAME}' will be processed every morning.`,
+    ui.ButtonSet.OK
+  );
+}